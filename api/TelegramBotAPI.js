@@ -1,89 +1,309 @@
 /**
  * Telegram API for:
- *      - sendMessage
+ *      - sendMessage / editMessageText
  *      - setMessageReaction
+ *      - getChatMember
+ *      - getChat (+ cached available_reactions)
+ *      - setWebhook / deleteWebhook / getWebhookInfo
+ *      - getUpdates
+ *      - sendInvoice / answerPreCheckoutQuery / refundStarPayment
  * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
  */
 
+import { RateLimiter } from './rate-limit.js';
+import { toReactionType, fromReactionType } from './helper.js';
+import { logger } from './logger.js';
+
+// Methods that post into a chat and count against Telegram's flood limits
+const THROTTLED_METHODS = ['setMessageReaction', 'sendMessage', 'editMessageText', 'sendInvoice'];
+// Per-chat limits are Telegram's group limits: in private chats these only count bot-wide,
+// so a reply to /start, /settings or /donate isn't dropped after a burst of reactions
+const PRIVATE_CHAT_EXEMPT = ['sendMessage', 'sendInvoice'];
+
+// Methods that change what users see (or move Stars); recorded instead of sent in dry-run mode
+export const DRY_RUN_METHODS = [
+    'setMessageReaction',
+    'sendMessage',
+    'editMessageText',
+    'sendInvoice',
+    'answerPreCheckoutQuery',
+    'refundStarPayment'
+];
+
+export const DEFAULT_API_BASE_URL = 'https://api.telegram.org';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Thrown instead of waiting when a request can't be sent within `maxWaitMs`
+ * (rate-limit slot, Telegram's retry_after or a retry backoff). Nothing was sent;
+ * the caller should try again at `retryAt` (e.g. reschedule a queued job).
+ */
+export class RetryLaterError extends Error {
+    constructor(action, retryAt, cause = null) {
+        super(`${action} deferred until ${new Date(retryAt).toISOString()}${cause ? ` (${cause.message})` : ''}`);
+        this.name = 'RetryLaterError';
+        this.retryAt = retryAt;
+        this.cause = cause;
+    }
+}
+
 export default class TelegramBotAPI {
-    constructor(botToken) {
-        this.apiUrl = `https://api.telegram.org/bot${botToken}/`;
+    /**
+     * @param {string} botToken
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries=3] - Retries for 429 / 5xx / network errors
+     * @param {number} [options.maxRetryAfterSec=60] - Give up when Telegram asks to wait longer
+     * @param {number} [options.botPerSec=25] - Throttled requests per second for this bot
+     * @param {number} [options.chatPerMin=20] - Throttled requests per minute for one chat
+     * @param {number} [options.chatBurst=5] - Requests a chat may burst before throttling
+     * @param {number} [options.maxWaitMs=3000] - Longest inline wait (rate-limit slot, retry_after, backoff);
+     *                                           longer waits throw RetryLaterError
+     * @param {number} [options.reactionsCacheTtlSec=600] - How long a chat's available_reactions are cached
+     * @param {Object} [options.reactionsStore] - Shared key/value store for that cache (KV on Workers, so the
+     *                                           Worker and the queue Durable Object see the same invalidations);
+     *                                           in memory when unset
+     * @param {Function} [options.onRequest] - (method, durationMs) after every HTTP attempt, e.g. for metrics
+     * @param {string} [options.apiBaseUrl] - Bot API server, e.g. a self-hosted one (default api.telegram.org)
+     * @param {boolean} [options.dryRun=false] - Record DRY_RUN_METHODS calls in `dryRunLog` instead of sending them
+     * @param {number} [options.dryRunLimit=200] - Recorded calls to keep (oldest are dropped)
+     */
+    constructor(botToken, options = {}) {
+        const {
+            maxRetries = 3,
+            maxRetryAfterSec = 60,
+            botPerSec = 25,
+            chatPerMin = 20,
+            chatBurst = 5,
+            maxWaitMs = 3000,
+            reactionsCacheTtlSec = 600,
+            reactionsStore = null,
+            onRequest = null,
+            apiBaseUrl = DEFAULT_API_BASE_URL,
+            dryRun = false,
+            dryRunLimit = 200
+        } = options;
+
+        this.botId = String(botToken || '').split(':')[0];
+        this.apiUrl = `${apiBaseUrl.replace(/\/+$/, '')}/bot${botToken}/`;
+        this.maxRetries = maxRetries;
+        this.maxRetryAfterSec = maxRetryAfterSec;
+        this.maxWaitMs = maxWaitMs;
+        this.limiter = new RateLimiter({ botPerSec, chatPerMin, chatBurst });
+        // chatId -> { reactions: Array<string>|null, expiresAt } (without a reactionsStore)
+        this.reactionsCache = new Map();
+        this.reactionsCacheTtlMs = reactionsCacheTtlSec * 1000;
+        this.reactionsStore = reactionsStore;
+        this.onRequest = onRequest;
+        this.dryRun = dryRun;
+        this.dryRunLimit = dryRunLimit;
+        // { at, method, body } per call that would have been sent (dry-run only)
+        this.dryRunLog = [];
+        this.dryRunMessageId = 0;
+        this.log = logger.child({ botId: this.botId });
+        // Shown on /health
+        this.stats = { requests: 0, retries: 0, rateLimited: 0, deferred: 0, dropped: 0 };
     }
 
-    async callApi(action, body) {
+    /**
+     * Throttle, then call the API; retry 429 (after retry_after) and 5xx/network errors
+     * (exponential backoff). Timeouts are not retried: the request may have gone through.
+     * Waits longer than `maxWaitMs` are not slept through: RetryLaterError tells the caller
+     * when to try again, so one throttled chat doesn't hold up everything else.
+     *
+     * @param {string} action - Bot API method
+     * @param {Object} body - Method parameters
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=10000] - Request timeout
+     * @param {AbortSignal} [options.signal] - Extra signal to cancel the request (e.g. on shutdown)
+     * @param {number} [options.maxWaitMs] - Override the client's maxWaitMs (0 = never wait)
+     */
+    async callApi(action, body, options = {}) {
+        if (this.dryRun && DRY_RUN_METHODS.includes(action)) {
+            return this.recordDryRun(action, body);
+        }
+
+        const maxWaitMs = options.maxWaitMs ?? this.maxWaitMs;
+        const deferred = (delayMs, cause = null) => {
+            this.stats.deferred += 1;
+            this.logFor(body).debug(`Deferring ${action} by ${delayMs}ms`);
+            return new RetryLaterError(action, Date.now() + delayMs, cause);
+        };
+
+        if (THROTTLED_METHODS.includes(action)) {
+            const exempt = PRIVATE_CHAT_EXEMPT.includes(action) && Number(body.chat_id) > 0;
+            const { waitMs, reserved } = this.limiter.acquire(exempt ? undefined : body.chat_id, maxWaitMs);
+            if (!reserved) throw deferred(waitMs);
+            if (waitMs > 0) await sleep(waitMs);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            const started = Date.now();
+            try {
+                this.stats.requests += 1;
+                return await this.request(action, body, options)
+                    .finally(() => this.onRequest?.(action, Date.now() - started));
+            } catch (error) {
+                if (error.status === 429) this.stats.rateLimited += 1;
+                if (options.signal?.aborted || attempt >= this.maxRetries) throw error;
+
+                let delayMs;
+                if (error.status === 429) {
+                    const retryAfter = error.retryAfter ?? 1;
+                    if (retryAfter > this.maxRetryAfterSec) {
+                        this.stats.dropped += 1;
+                        throw error;
+                    }
+                    delayMs = retryAfter * 1000;
+                } else if (error.status >= 500 || error.kind === 'network') {
+                    delayMs = 500 * 2 ** attempt;
+                } else {
+                    throw error;
+                }
+                if (delayMs > maxWaitMs) throw deferred(delayMs, error);
+
+                this.stats.retries += 1;
+                this.logFor(body).warn(`Retrying ${action} in ${delayMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    /**
+     * Dry-run: remember the call and answer like Telegram would (sendMessage gets a fake Message).
+     */
+    recordDryRun(action, body) {
+        this.dryRunLog.push({ at: new Date().toISOString(), method: action, body: body });
+        if (this.dryRunLog.length > this.dryRunLimit) this.dryRunLog.shift();
+        this.logFor(body).debug(`Dry run: ${action} not sent`);
+
+        if (action === 'sendMessage') {
+            return {
+                ok: true,
+                result: {
+                    message_id: ++this.dryRunMessageId,
+                    date: Math.floor(Date.now() / 1000),
+                    chat: { id: body.chat_id },
+                    text: body.text
+                }
+            };
+        }
+        return { ok: true, result: true };
+    }
+
+    /**
+     * Logger with the chat / message a request is about.
+     */
+    logFor(body = {}) {
+        return this.log.child({ chatId: body.chat_id, messageId: body.message_id });
+    }
+
+    /**
+     * Single HTTP request. Errors carry `status`, `retryAfter` and `kind` ('api' | 'timeout' | 'network').
+     */
+    async request(action, body, { timeoutMs = 10000, signal } = {}) {
+        const timeoutSignal = AbortSignal.timeout(timeoutMs);
+        let response;
         try {
-            const response = await fetch(this.apiUrl + action, {
+            response = await fetch(this.apiUrl + action, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify(body),
-                signal: AbortSignal.timeout(10000) // 10 second timeout
+                signal: signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal
             });
+        } catch (error) {
+            // Cancelled by the caller (e.g. polling shutdown), not a failure
+            if (signal?.aborted) throw error;
 
-            const data = await response.json();
-
-            if (!response.ok) {
-                // Log error without exposing sensitive data (tokens, etc.)
-                console.error(`Telegram API request failed: ${action} (Status: ${response.status})`);
-                if (data.description) {
-                    console.error(`Error description: ${data.description}`);
-                }
-                if (data.error_code) {
-                    console.error(`Error code: ${data.error_code}`);
-                }
-
-                throw new Error(`Telegram API error: ${data.description || 'Unknown error'}`);
+            // Log network/timeout errors without sensitive data
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+                this.logFor(body).error(`Request timeout for ${action}`);
+                throw Object.assign(new Error(`Telegram API timeout: ${action}`), { kind: 'timeout' });
             }
+            this.logFor(body).error(`Network error for ${action}: ${error.message}`);
+            throw Object.assign(new Error(`Network error: ${action}`), { kind: 'network' });
+        }
 
-            return data;
+        // Proxies in front of Telegram may answer 5xx with HTML
+        const data = await response.json().catch(() => ({}));
 
-        } catch (error) {
-            // Log network/timeout errors without sensitive data
-            if (error.name === 'AbortError') {
-                console.error(`Request timeout for ${action}`);
-                throw new Error(`Telegram API timeout: ${action}`);
-            } else if (!error.message.includes('Telegram API error')) {
-                console.error(`Network error for ${action}: ${error.message}`);
-                throw new Error(`Network error: ${action}`);
-            }
+        if (!response.ok) {
+            // Log error without exposing sensitive data (tokens, etc.)
+            this.logFor(body).error(`Telegram API request failed: ${action} (Status: ${response.status})`, {
+                description: data.description,
+                errorCode: data.error_code
+            });
 
-            throw error;
+            throw Object.assign(new Error(`Telegram API error: ${data.description || 'Unknown error'}`), {
+                kind: 'api',
+                status: response.status,
+                retryAfter: data.parameters?.retry_after
+            });
         }
+
+        return data;
     }
 
     /**
      * https://core.telegram.org/bots/api#setmessagereaction
      * @param {number} chatId 
      * @param {number} messageId 
-     * @param {string} emoji 
+     * @param {string|Array<string>} emoji - Emoji or `custom:<id>` (see splitEmojis), or several of them
+     * @param {boolean} isBig - Show the big reaction animation
+     * @param {Object} [options] - callApi options, e.g. { maxWaitMs: 0 } to get RetryLaterError instead of waiting
      */
-    async setMessageReaction(chatId, messageId, emoji) {
-        await this.callApi('setMessageReaction', {
-            chat_id: chatId,
-            message_id: messageId,
-            reaction: [{
-                type: 'emoji',
-                emoji: emoji
-            }],
-            is_big: true
-        });
+    async setMessageReaction(chatId, messageId, emoji, isBig = true, options = {}) {
+        const emojis = Array.isArray(emoji) ? emoji : [emoji];
+        try {
+            await this.callApi('setMessageReaction', {
+                chat_id: chatId,
+                message_id: messageId,
+                reaction: emojis.map(toReactionType),
+                is_big: isBig
+            }, options);
+        } catch (error) {
+            // The chat's allowed reactions changed since we cached them
+            if (/REACTION_INVALID/.test(error.message)) {
+                await this.forgetAvailableReactions(chatId);
+            }
+            throw error;
+        }
     }
 
     /**
      * https://core.telegram.org/bots/api#sendmessage
      * @param {number} chatId 
      * @param {string} text 
+     * @returns {Promise<Object>} The sent Message
      */
     async sendMessage(chatId, text, inlineKeyboard = null) {
-        await this.callApi('sendMessage', {
+        const data = await this.callApi('sendMessage', {
             chat_id: chatId,
             text: text,
             parse_mode: "Markdown",
             disable_web_page_preview:true,
             ...(inlineKeyboard && { reply_markup: { inline_keyboard: inlineKeyboard } })
         });
+        return data.result;
     } 
+
+    /**
+     * https://core.telegram.org/bots/api#editmessagetext
+     * @param {number} chatId
+     * @param {number} messageId
+     * @param {string} text
+     */
+    async editMessageText(chatId, messageId, text) {
+        await this.callApi('editMessageText', {
+            chat_id: chatId,
+            message_id: messageId,
+            text: text,
+            parse_mode: "Markdown",
+            disable_web_page_preview: true
+        });
+    }
     
     /**
      * https://core.telegram.org/bots/api#sendinvoice
@@ -113,11 +333,155 @@ export default class TelegramBotAPI {
      * https://core.telegram.org/bots/api#answerprecheckoutquery
      * @param {string} preCheckoutQueryId - Unique identifier for the query to be answered
      * @param {boolean} ok - Specify if the query was successful
+     * @param {string} [errorMessage] - Shown to the user when `ok` is false
      */
-    async answerPreCheckoutQuery(preCheckoutQueryId, ok) {
+    async answerPreCheckoutQuery(preCheckoutQueryId, ok, errorMessage = null) {
         await this.callApi('answerPreCheckoutQuery', {
             pre_checkout_query_id: preCheckoutQueryId,
-            ok: ok
+            ok: ok,
+            ...(!ok && errorMessage && { error_message: errorMessage })
+        });
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#refundstarpayment
+     * @param {number} userId - User who made the payment
+     * @param {string} telegramPaymentChargeId - From the successful_payment message
+     */
+    async refundStarPayment(userId, telegramPaymentChargeId) {
+        await this.callApi('refundStarPayment', {
+            user_id: userId,
+            telegram_payment_charge_id: telegramPaymentChargeId
+        });
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#getchatmember
+     * @param {number} chatId - Unique identifier for the target chat
+     * @param {number} userId - Unique identifier of the target user
+     * @returns {Promise<Object>} ChatMember object
+     */
+    async getChatMember(chatId, userId) {
+        const data = await this.callApi('getChatMember', {
+            chat_id: chatId,
+            user_id: userId
+        });
+        return data.result;
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#setwebhook
+     * @param {string} url - HTTPS URL to send updates to
+     * @param {Object} [options]
+     * @param {string} [options.secretToken] - Sent back in X-Telegram-Bot-Api-Secret-Token
+     * @param {Array<string>} [options.allowedUpdates] - Update types to receive
+     * @param {boolean} [options.dropPendingUpdates] - Drop all pending updates
+     */
+    async setWebhook(url, { secretToken, allowedUpdates, dropPendingUpdates } = {}) {
+        await this.callApi('setWebhook', {
+            url: url,
+            ...(secretToken && { secret_token: secretToken }),
+            ...(allowedUpdates && { allowed_updates: allowedUpdates }),
+            ...(dropPendingUpdates && { drop_pending_updates: true })
+        });
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#deletewebhook
+     * @param {boolean} dropPendingUpdates - Drop all pending updates
+     */
+    async deleteWebhook(dropPendingUpdates = false) {
+        await this.callApi('deleteWebhook', {
+            drop_pending_updates: dropPendingUpdates
         });
     }
-};
\ No newline at end of file
+
+    /**
+     * https://core.telegram.org/bots/api#getwebhookinfo
+     * @returns {Promise<Object>} WebhookInfo object
+     */
+    async getWebhookInfo() {
+        const data = await this.callApi('getWebhookInfo', {});
+        return data.result;
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#getupdates
+     * @param {number} offset - Identifier of the first update to be returned
+     * @param {number} timeout - Long polling timeout in seconds
+     * @param {Array<string>} allowedUpdates - Update types to receive
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Max number of updates (1-100)
+     * @param {AbortSignal} [options.signal] - Cancel the long poll
+     * @returns {Promise<Array<Object>>} Update objects
+     */
+    async getUpdates(offset, timeout, allowedUpdates, { limit, signal } = {}) {
+        const data = await this.callApi('getUpdates', {
+            offset: offset,
+            timeout: timeout,
+            ...(allowedUpdates && { allowed_updates: allowedUpdates }),
+            ...(limit && { limit: limit })
+        }, { timeoutMs: (timeout + 10) * 1000, signal });
+        return data.result || [];
+    }
+
+    /**
+     * https://core.telegram.org/bots/api#getchat
+     * @param {number} chatId - Unique identifier for the target chat
+     * @returns {Promise<Object>} ChatFullInfo object
+     */
+    async getChat(chatId) {
+        const data = await this.callApi('getChat', {
+            chat_id: chatId
+        });
+        return data.result;
+    }
+
+    /**
+     * Reactions admins allow in a chat, cached for reactionsCacheTtlSec.
+     * Entries use the splitEmojis format (emoji or `custom:<id>`).
+     * @param {number} chatId
+     * @returns {Promise<Array<string>|null>} null when every reaction is allowed (or unknown)
+     */
+    async getAvailableReactions(chatId) {
+        const cached = this.reactionsStore
+            ? await this.reactionsStore.get(this.reactionsKey(chatId)).catch(() => null)
+            : this.reactionsCache.get(chatId);
+        if (cached && cached.expiresAt > Date.now()) return cached.reactions;
+
+        let reactions = null;
+        try {
+            const chat = await this.getChat(chatId);
+            // Omitted means all emoji reactions are allowed
+            if (Array.isArray(chat.available_reactions)) {
+                reactions = chat.available_reactions.map(fromReactionType).filter(Boolean);
+            }
+        } catch (error) {
+            // Don't block reactions because getChat failed; try again next time
+            return null;
+        }
+
+        const entry = { reactions, expiresAt: Date.now() + this.reactionsCacheTtlMs };
+        if (this.reactionsStore) {
+            const ttlSec = Math.ceil(this.reactionsCacheTtlMs / 1000);
+            await this.reactionsStore.set(this.reactionsKey(chatId), entry, { ttlSec }).catch(() => {});
+        } else {
+            this.reactionsCache.set(chatId, entry);
+        }
+        return reactions;
+    }
+
+    reactionsKey(chatId) {
+        return `reactions:${this.botId}:${chatId}`;
+    }
+
+    /**
+     * Drop the cached available_reactions of a chat (rejected reaction, bot removed).
+     * Never throws; the entry expires on its own anyway.
+     * @param {number} chatId
+     */
+    async forgetAvailableReactions(chatId) {
+        this.reactionsCache.delete(chatId);
+        await this.reactionsStore?.delete(this.reactionsKey(chatId)).catch(() => {});
+    }
+};
@@ -3,8 +3,46 @@
  * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
  */
 
-import { startMessage, donateMessage } from './constants.js';
-import { getRandomPositiveReaction } from './helper.js';
+import { parseCommand, fromReactionType, escapeMarkdown } from './helper.js';
+import {
+  poolForChat,
+  toPool,
+  pickManyFromPool,
+  formatPool,
+  getRecentReactions,
+  rememberReaction,
+  forgetRecentReactions,
+} from './emoji-pool.js';
+import { pickRuleReaction, rulesForChat, describeRules } from './rules.js';
+import { skipReason } from './filters.js';
+import { activeScheduleRule, describeSchedule } from './schedule.js';
+import { formatChatStats } from './stats.js';
+import { parseBroadcast, startBroadcast, continueBroadcast, reportBroadcast } from './chat-registry.js';
+import { createPayload, payloadProblem, tierKeyboard, formatDonations } from './donations.js';
+import { t, interpolate, chatLanguage, pickText } from './i18n.js';
+import { logger, updateContext } from './logger.js';
+import { RetryLaterError } from './TelegramBotAPI.js';
+import {
+  SETTINGS_COMMANDS,
+  getChatSettings,
+  deleteChatSettings,
+  isBotPaused,
+  isChatAdmin,
+  handleSettingsCommand,
+} from './chat-settings.js';
+
+/**
+ * Update types handled by onUpdate; registered as `allowed_updates` with the webhook.
+ */
+export const ALLOWED_UPDATES = ['message', 'channel_post', 'pre_checkout_query', 'my_chat_member'];
+
+// /donate when no per-bot donate settings are passed (see config.js)
+const DEFAULT_DONATE = { enabled: true, tiers: [5], title: null, description: null };
+
+// /donate, /start donate and the tier deep links (/start donate_25)
+const DONATE_RE = /^\/(?:donate|start donate)(?:_(\d+))?$/;
+
+const isOwner = (content, owners = []) => owners.includes(content.from?.id);
 
 /**
  * Small sleep helper
@@ -13,25 +51,23 @@ import { getRandomPositiveReaction } from './helper.js';
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
- * Pick a delay based on chat type, env overrides, and RandomLevel jitter.
- * - Env overrides (if set for all chat types):
- *    REACT_DELAY_MIN_MS, REACT_DELAY_MAX_MS
- * - Defaults (per chat type) if env isn’t set:
+ * Pick a delay based on chat type, configured overrides, and RandomLevel jitter.
+ * - Configured range (REACT_DELAY_MIN_MS / REACT_DELAY_MAX_MS or the bot's `delay` in the config file)
+ * - Defaults (per chat type) when no range is configured:
  *    private: 2–6s, group/supergroup: 8–20s, channel: 10–25s
  *
  * @param {('private'|'group'|'supergroup'|'channel')} chatType
  * @param {number} RandomLevel (0–10)
+ * @param {{minMs: number, maxMs: number}|null} [delay] - Validated range (see config.js)
+ * @param {number} [limitMs=Infinity] - Upper bound (QUEUE_INLINE_MAX_WAIT_MS with the inline queue)
  * @returns {number} milliseconds
  */
-function pickDelayMs(chatType, RandomLevel) {
-  const envMin = Number(process.env.REACT_DELAY_MIN_MS);
-  const envMax = Number(process.env.REACT_DELAY_MAX_MS);
-
+function pickDelayMs(chatType, RandomLevel, delay = null, limitMs = Infinity) {
   let min, max;
 
-  if (!Number.isNaN(envMin) && !Number.isNaN(envMax) && envMax >= envMin) {
-    min = envMin;
-    max = envMax;
+  if (delay) {
+    min = delay.minMs;
+    max = delay.maxMs;
   } else {
     // Sensible defaults per chat type
     if (chatType === 'private') {
@@ -49,34 +85,412 @@ function pickDelayMs(chatType, RandomLevel) {
 
   const base = min + Math.floor(Math.random() * (max - min + 1));
   const jitter = Math.floor(Math.random() * (RandomLevel * 300)); // up to 3s extra at level 10
-  return base + jitter;
+  return Math.min(base + jitter, limitMs);
+}
+
+/**
+ * Run `call`, waiting out RetryLaterError (see TelegramBotAPI.js) up to `times` times.
+ * Only for background work: a webhook handler should not sit on a throttled chat.
+ */
+async function whenThrottled(call, times = 3) {
+  for (let deferrals = 0; ; deferrals++) {
+    try {
+      return await call();
+    } catch (err) {
+      if (!(err instanceof RetryLaterError) || deferrals >= times) throw err;
+      await sleep(err.retryAt - Date.now());
+    }
+  }
 }
 
 /**
  * Schedule a delayed reaction without blocking the webhook response.
  * Errors are caught & logged so they don’t crash the process.
+ *
+ * @param {Object} job - { chatId, chatType, messageId, reaction, delayMs, isBig }
+ * @param {Object} [stats] - ReactionStats (see stats.js)
+ * @param {Object} [log] - Logger with the update's context
  */
-async function scheduleReaction(botApi, chatId, messageId, reaction, delayMs) {
+async function scheduleReaction(botApi, job, stats, log = logger) {
+  const info = { botId: botApi.botId, chatId: job.chatId, chatType: job.chatType, reaction: job.reaction };
   try {
-    await sleep(delayMs);
-    await botApi.setMessageReaction(chatId, messageId, reaction);
+    await sleep(job.delayMs);
+    await whenThrottled(() => botApi.setMessageReaction(job.chatId, job.messageId, job.reaction, job.isBig));
+    await stats?.record('sent', info);
   } catch (err) {
-    console.error('setMessageReaction failed:', err?.message || err);
+    log.error('setMessageReaction failed', { error: err?.message || String(err) });
+    await stats?.record('failed', info);
+  }
+}
+
+/**
+ * Queue the reaction when a queue is configured, otherwise fire-and-forget.
+ */
+async function deliverReaction(botApi, chat, messageId, reaction, delayMs, options, replace = false) {
+  const { queue = null, stats = null, isBig = true, waitUntil = null, log = logger } = options;
+  const job = { chatId: chat.id, chatType: chat.type, messageId, reaction, isBig, delayMs };
+  if (queue) {
+    // Persisted; a scheduler sends it when due (duplicates per chat/message are ignored unless replacing)
+    await queue.enqueue({ botId: botApi.botId, ...job, replace });
+  } else {
+    // Fire-and-forget; don't block webhook response
+    const pending = scheduleReaction(botApi, job, stats, log);
+    if (waitUntil) waitUntil(pending);
   }
 }
 
+/**
+ * Settings and emoji pool that apply to a chat, and whether the bot is paused from the dashboard.
+ */
+async function chatContext(chat, botApi, Reactions, options) {
+  const [settings, botPaused] = await Promise.all([
+    getChatSettings(options.store, botApi.botId, chat.id),
+    isBotPaused(options.store, botApi.botId),
+  ]);
+  const defaultPool = poolForChat(chat.type, Reactions, options.reactionPools);
+  const pool = settings.reactions ? toPool(settings.reactions) : defaultPool;
+  return { settings, botPaused, defaultPool, pool };
+}
+
+/**
+ * React to a message / channel post, honouring restrictions, pause, filters, the schedule,
+ * RandomLevel, the chat's available reactions, content rules and the no-repeat window.
+ */
+async function reactToContent(content, botApi, context, RestrictedChats, RandomLevel, options, replace = false) {
+  const { store = null, stats = null, rules = [], avoidLastN = 0, reactionCount = 1, filters = {}, log = logger } =
+    options;
+  const chatId = content.chat.id;
+  const chatType = content.chat.type; // 'private' | 'group' | 'supergroup' | 'channel'
+  const { settings, botPaused, pool } = context;
+
+  const skip = (reason) => stats?.record('skipped', { botId: botApi.botId, chatId, chatType, reason });
+
+  const blocked =
+    (RestrictedChats.includes(chatId) && 'restricted chat') ||
+    (settings.paused && 'chat paused') ||
+    (botPaused && 'bot paused') ||
+    skipReason(content, filters);
+  if (blocked) {
+    await skip(blocked);
+    return;
+  }
+
+  // Quiet hours / time windows (see schedule.js) override the chat's random level and delay
+  const slot = activeScheduleRule(options.schedule, chatId);
+  if (slot && !slot.react) {
+    await skip('schedule');
+    return;
+  }
+  const randomLevel = slot?.randomLevel ?? settings.randomLevel ?? RandomLevel;
+
+  // Threshold: higher RandomLevel => lower chance to react (same as your original logic)
+  const threshold = 1 - randomLevel / 10;
+
+  const shouldReact =
+    chatType === 'private' // always react in private
+      ? true
+      : Math.random() <= threshold;
+  if (!shouldReact) {
+    await skip('random level');
+    return;
+  }
+
+  // Only emojis the chat's admins allow (private chats allow everything)
+  const allowed = chatType === 'private' ? null : await botApi.getAvailableReactions(chatId);
+  const usablePool = allowed ? pool.filter((e) => allowed.includes(e.emoji)) : pool;
+
+  // Content rules first, then the weighted pick from the chat's pool (skipping recent ones)
+  let reaction = pickRuleReaction(rules, content, allowed);
+  if (!reaction && usablePool.length === 0) {
+    log.info(`Skipping chat ${chatId}: none of the configured reactions are allowed there`);
+    await skip('no allowed emoji');
+    return;
+  }
+  if (!reaction) {
+    const recent = avoidLastN > 0 ? await getRecentReactions(store, botApi.botId, chatId) : [];
+    const picked = pickManyFromPool(usablePool, reactionCount, recent.slice(-avoidLastN));
+    reaction = picked.length === 1 ? picked[0] : picked;
+    await rememberReaction(store, botApi.botId, chatId, picked, avoidLastN);
+  }
+
+  const delayMs = pickDelayMs(chatType, randomLevel, slot?.delay || options.delay, options.maxDelayMs);
+  await deliverReaction(botApi, content.chat, content.message_id, reaction, delayMs, options, replace);
+}
+
+const MEMBER_STATUSES = ['creator', 'administrator', 'member'];
+const isMember = (m) => MEMBER_STATUSES.includes(m.status) || (m.status === 'restricted' && m.is_member);
+
+/**
+ * my_chat_member: the bot was added to / removed from a chat (or blocked in private).
+ */
+async function onMyChatMember(update, botApi, options) {
+  const { chat, from, old_chat_member, new_chat_member } = update;
+  const joined = !isMember(old_chat_member) && isMember(new_chat_member);
+  const removed = isMember(old_chat_member) && !isMember(new_chat_member);
+  const where = `${chat.type} ${chat.id}${chat.title ? ` (${chat.title})` : ''}`;
+  const log = options.log || logger;
+
+  if (joined) {
+    log.info(`➕ Added to ${where} by ${from?.id}`);
+    if (chat.type === 'group' || chat.type === 'supergroup') {
+      // No chat settings yet, so the language of whoever added the bot
+      await botApi.sendMessage(chat.id, t(chatLanguage(null, from), 'welcome', { title: chat.title || '' }));
+    }
+  } else if (removed) {
+    log.info(`➖ Removed from ${where} (${new_chat_member.status})`);
+    await deleteChatSettings(options.store, botApi.botId, chat.id);
+    await forgetRecentReactions(options.store, botApi.botId, chat.id);
+    await botApi.forgetAvailableReactions?.(chat.id);
+  }
+}
+
+/**
+ * Keep the chat registry in sync with the bot's own membership (always on, unlike onMyChatMember).
+ */
+async function trackMembership(update, botApi, registry) {
+  if (!registry) return;
+  if (isMember(update.new_chat_member)) {
+    await registry.seen(botApi.botId, update.chat);
+  } else {
+    await registry.remove(botApi.botId, update.chat.id);
+  }
+}
+
+/**
+ * /broadcast <all|channels|groups|private|chatId,...> <text> — owners only, in private chat.
+ * Runs in the background (a big registry takes longer than Telegram waits for a webhook
+ * response) and edits a status message with the progress. On Workers with the queue Durable
+ * Object the broadcast is handed to it and sent in resumable batches (see reaction-queue-do.js).
+ */
+async function onBroadcastCommand(args, content, botApi, options) {
+  const { registry = null, queue = null, waitUntil = null, log = logger } = options;
+  const chatId = content.chat.id;
+
+  if (!isOwner(content, options.owners)) {
+    await botApi.sendMessage(chatId, '⛔️ Only the bot owner can broadcast.');
+    return;
+  }
+  if (!registry) {
+    await botApi.sendMessage(chatId, '⚠️ The chat registry is not enabled on this deployment.');
+    return;
+  }
+
+  const request = parseBroadcast(args);
+  if (!request) {
+    const counts = Object.entries(await registry.counts(botApi.botId))
+      .map(([type, n]) => `${type}: ${n}`)
+      .join(', ');
+    await botApi.sendMessage(
+      chatId,
+      '📣 Usage: /broadcast <target> <message>\n\n' +
+        'Target: all, channels, groups, private, or chat IDs (-1001,-1002). The message uses Markdown.\n\n' +
+        `Known chats: ${counts || 'none yet'}`
+    );
+    return;
+  }
+
+  const status = await botApi.sendMessage(chatId, `📣 Broadcast to ${request.label} started…`);
+  const state = await startBroadcast(registry, botApi.botId, request, { chatId, statusMessageId: status.message_id });
+  if (queue?.broadcast) {
+    await queue.broadcast(state);
+    return;
+  }
+
+  const job = continueBroadcast(botApi, registry, state, { onProgress: () => reportBroadcast(botApi, state) })
+    .then(() => {
+      log.info(`📣 Broadcast to ${request.label} finished`, state.progress);
+      return reportBroadcast(botApi, state);
+    })
+    .catch((err) => log.error('Broadcast failed', { error: err?.message || String(err) }));
+  // Workers without the Durable Object: cut off when the waitUntil time runs out
+  if (waitUntil) waitUntil(job);
+}
+
+/**
+ * /donate: an invoice for the only tier (or the one picked via /start donate_<stars>),
+ * otherwise a button per tier.
+ */
+async function onDonate(text, content, settings, botApi, botUsername, options) {
+  const { donate = DEFAULT_DONATE } = options;
+  const lang = chatLanguage(settings, content.from);
+  const picked = Number(DONATE_RE.exec(text)[1]);
+  const stars = donate.tiers.includes(picked) ? picked : donate.tiers.length === 1 ? donate.tiers[0] : null;
+
+  if (!stars) {
+    await botApi.sendMessage(
+      content.chat.id,
+      t(lang, 'donateChooseTier'),
+      tierKeyboard(donate.tiers, botUsername)
+    );
+    return;
+  }
+  await botApi.sendInvoice(
+    content.chat.id,
+    donate.title || t(lang, 'donateTitle'),
+    donate.description || t(lang, 'donateDescription'),
+    await createPayload(stars, options.paymentSecret),
+    '',
+    'donate',
+    'XTR',
+    [{ label: t(lang, 'donateLabel', { stars }, { markdown: false }), amount: stars }]
+  );
+}
+
+/**
+ * pre_checkout_query: only approve invoices this bot issued, for an amount it still offers.
+ */
+async function onPreCheckout(query, botApi, options) {
+  const { donate = DEFAULT_DONATE, log = logger } = options;
+  const problem = donate.enabled
+    ? await payloadProblem(query, options.paymentSecret, donate.tiers)
+    : 'donations are disabled';
+
+  if (problem) {
+    log.warn(`Declined pre-checkout from ${query.from.id}: ${problem}`, { amount: query.total_amount });
+    await botApi.answerPreCheckoutQuery(query.id, false, t(chatLanguage(null, query.from), 'donateInvalid'));
+    return;
+  }
+  await botApi.answerPreCheckoutQuery(query.id, true);
+}
+
+/**
+ * successful_payment: record it, then thank the donor (once, even if Telegram resends the update).
+ */
+async function onSuccessfulPayment(message, botApi, options) {
+  const { ledger = null, log = logger } = options;
+  const payment = message.successful_payment;
+  if (ledger && !(await ledger.record(botApi.botId, message))) return;
+
+  log.info(`💝 Donation of ${payment.total_amount} ${payment.currency} from ${message.from?.id}`, {
+    chargeId: payment.telegram_payment_charge_id,
+  });
+  const settings = await getChatSettings(options.store, botApi.botId, message.chat.id);
+  await botApi.sendMessage(message.chat.id, t(chatLanguage(settings, message.from), 'donateThanks'));
+}
+
+/**
+ * /donations and /refund <charge_id> — owners only, in private chat.
+ */
+async function onDonationsCommand(command, content, botApi, options) {
+  const { ledger = null, log = logger } = options;
+  const chatId = content.chat.id;
+
+  if (!isOwner(content, options.owners)) {
+    await botApi.sendMessage(chatId, '⛔️ Only the bot owner can manage donations.');
+    return;
+  }
+  if (!ledger) {
+    await botApi.sendMessage(chatId, '⚠️ The donation ledger is not enabled on this deployment.');
+    return;
+  }
+
+  if (command.command === 'donations') {
+    await botApi.sendMessage(chatId, formatDonations(await ledger.list(botApi.botId)));
+    return;
+  }
+
+  const chargeId = command.args;
+  const entry = chargeId ? await ledger.get(botApi.botId, chargeId) : null;
+  if (!entry) {
+    await botApi.sendMessage(chatId, '❓ Usage: /refund <charge\\_id> (see /donations for the IDs)');
+    return;
+  }
+  if (entry.refundedAt) {
+    await botApi.sendMessage(chatId, '↩️ That donation has already been refunded.');
+    return;
+  }
+
+  try {
+    await botApi.refundStarPayment(entry.userId, entry.chargeId);
+    await ledger.markRefunded(botApi.botId, entry.chargeId);
+    log.info(`↩️ Refunded ${entry.amount} ${entry.currency} to ${entry.userId}`, { chargeId: entry.chargeId });
+    await botApi.sendMessage(chatId, `↩️ Refunded ⭐️${entry.amount} to ${escapeMarkdown(entry.name || entry.userId)}.`);
+  } catch (err) {
+    await botApi.sendMessage(chatId, `❌ Refund failed: ${escapeMarkdown(err?.message || String(err))}`);
+  }
+}
+
+/**
+ * message_reaction: a user changed their reaction on a message.
+ *    mirror -> react with the emoji they added
+ *    add    -> react with a pick from the chat's pool that they didn't use
+ * Bots have a single reaction set per message, so this replaces the bot's earlier reaction.
+ */
+async function onMessageReaction(update, botApi, Reactions, RestrictedChats, RandomLevel, options, mode) {
+  const { chat, message_id, user, old_reaction = [], new_reaction = [] } = update;
+  if (user && (user.is_bot || String(user.id) === botApi.botId)) return;
+
+  const before = old_reaction.map(fromReactionType);
+  const added = new_reaction.map(fromReactionType).filter((e) => e && !before.includes(e));
+  if (added.length === 0) return;
+
+  const { settings, botPaused, pool } = await chatContext(chat, botApi, Reactions, options);
+  if (RestrictedChats.includes(chat.id) || settings.paused || botPaused) return;
+  const slot = activeScheduleRule(options.schedule, chat.id);
+  if (slot && !slot.react) return;
+
+  const allowed = chat.type === 'private' ? null : await botApi.getAvailableReactions(chat.id);
+  const isAllowed = (e) => !allowed || allowed.includes(e);
+
+  let reaction;
+  if (mode === 'mirror') {
+    reaction = added.find(isAllowed);
+  } else {
+    const usablePool = pool.filter((e) => isAllowed(e.emoji) && !added.includes(e.emoji));
+    reaction = pickManyFromPool(usablePool, 1)[0];
+  }
+  if (!reaction) return;
+
+  const randomLevel = slot?.randomLevel ?? settings.randomLevel ?? RandomLevel;
+  const delayMs = pickDelayMs(chat.type, randomLevel, slot?.delay || options.delay, options.maxDelayMs);
+  await deliverReaction(botApi, chat, message_id, reaction, delayMs, options, true);
+}
+
 /**
  * Handle incoming Telegram Update
  * https://core.telegram.org/bots/api#update
  *
  * @param {Object} data - Telegram update object
  * @param {Object} botApi - TelegramBotAPI instance
- * @param {Array} Reactions - Array of emoji reactions
+ * @param {Array} Reactions - Default emoji pool (see emoji-pool.js; plain emoji arrays work too)
  * @param {Array} RestrictedChats - Array of restricted chat IDs
  * @param {string} botUsername - Bot username
  * @param {number} RandomLevel - Random level for group reactions (0-10)
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Key/value store for per-chat settings (see storage.js)
+ * @param {Object} [options.stats] - ReactionStats counting sent/skipped/failed reactions (see stats.js)
+ * @param {Object} [options.queue] - Durable reaction queue (see reaction-queue.js); without it
+ *                                   reactions are sleeping promises that die with the process
+ * @param {Array} [options.rules] - Compiled content rules (see rules.js), checked before the random pick
+ * @param {Object} [options.reactionPools] - { private, group, channel } pools overriding Reactions per chat type
+ * @param {number} [options.avoidLastN] - Don't repeat any of the last N emojis used in a chat (0 = off)
+ * @param {number} [options.reactionCount] - How many different emojis to put on each message (default 1)
+ * @param {boolean} [options.isBig] - Big reaction animation (default true)
+ * @param {Object} [options.delay] - { minMs, maxMs } reaction delay; per-chat-type defaults when unset
+ * @param {number} [options.maxDelayMs] - Cap on every reaction delay (the inline queue's window)
+ * @param {string} [options.startMessage] - /start text ({name} is the user / chat name), or { <lang>: text };
+ *                                         built-in text when unset
+ * @param {Object} [options.donate] - { enabled, tiers, title, description } for /donate
+ * @param {string} [options.paymentSecret] - Signs donation invoice payloads (the bot token)
+ * @param {Object} [options.ledger] - DonationLedger recording successful payments (see donations.js)
+ * @param {Object} [options.registry] - ChatRegistry of chats the bot is in (see chat-registry.js)
+ * @param {Array<number>} [options.owners] - User IDs allowed to /broadcast, /donations and /refund
+ * @param {Array} [options.schedule] - Quiet hours / time-window rules (see schedule.js)
+ * @param {Object} [options.filters] - Trigger filters (see filters.js)
+ * @param {Object} [options.updateHandling] - Extra update types to act on (see update-types.js)
+ * @param {Function} [options.waitUntil] - Keeps fire-and-forget reactions alive (Workers ctx.waitUntil)
+ */
+export async function onUpdate(data, botApi, Reactions, RestrictedChats, botUsername, RandomLevel, options = {}) {
+  // Every log line below carries the bot, chat, message and update it is about
+  const log = logger.child({ botId: botApi.botId, ...updateContext(data) });
+  return routeUpdate(data, botApi, Reactions, RestrictedChats, botUsername, RandomLevel, { ...options, log });
+}
+
+/**
+ * onUpdate body; `options.log` is the update's logger.
  */
-export async function onUpdate(data, botApi, Reactions, RestrictedChats, botUsername, RandomLevel) {
+async function routeUpdate(data, botApi, Reactions, RestrictedChats, botUsername, RandomLevel, options) {
+  const { store = null, stats = null, rules = [], updateHandling = {}, donate = DEFAULT_DONATE } = options;
   let chatId, message_id, text;
 
   if (data.message || data.channel_post) {
@@ -85,63 +499,116 @@ export async function onUpdate(data, botApi, Reactions, RestrictedChats, botUser
     message_id = content.message_id;
     text = content.text;
 
+    await options.registry?.seen(botApi.botId, content.chat);
+
+    // Stars payments arrive as service messages in the payer's chat
+    if (content.successful_payment) {
+      await onSuccessfulPayment(content, botApi, options);
+      return;
+    }
+    if (content.refunded_payment) {
+      await options.ledger?.markRefunded(botApi.botId, content.refunded_payment.telegram_payment_charge_id);
+      return;
+    }
+
+    const context = await chatContext(content.chat, botApi, Reactions, options);
+    const { defaultPool, pool, settings } = context;
+    const lang = chatLanguage(settings, content.from);
+
     // /start, /reactions, /donate handling
     if (data.message && (text === '/start' || text === '/start@' + botUsername)) {
-      await botApi.sendMessage(
-        chatId,
-        startMessage.replace(
-          'UserName',
-          content.chat.type === 'private' ? content.from.first_name : content.chat.title
-        ),
+      const template =
+        pickText(options.startMessage, lang) || t(lang, 'start') + (donate.enabled ? t(lang, 'startDonateFooter') : '');
+      const name = content.chat.type === 'private' ? content.from.first_name : content.chat.title;
+      const buttons = [
         [
-          [
-            { text: '➕ Add to Channel ➕', url: `https://t.me/${botUsername}?startchannel=botstart` },
-            { text: '➕ Add to Group ➕', url: `https://t.me/${botUsername}?startgroup=botstart` },
-          ],
-          [{ text: 'Github Source 📥', url: 'https://github.com/Malith-Rukshan/Auto-Reaction-Bot' }],
-          [{ text: '💝 Support Us - Donate 🤝', url: 'https://t.me/Auto_ReactionBOT?start=donate' }],
-        ]
-      );
+          { text: t(lang, 'buttonAddChannel'), url: `https://t.me/${botUsername}?startchannel=botstart` },
+          { text: t(lang, 'buttonAddGroup'), url: `https://t.me/${botUsername}?startgroup=botstart` },
+        ],
+        [{ text: t(lang, 'buttonSource'), url: 'https://github.com/Malith-Rukshan/Auto-Reaction-Bot' }],
+      ];
+      if (donate.enabled) {
+        buttons.push([{ text: t(lang, 'buttonDonate'), url: `https://t.me/${botUsername}?start=donate` }]);
+      }
+      await botApi.sendMessage(chatId, interpolate(template, { name }), buttons);
       return;
     } else if (data.message && text === '/reactions') {
-      const reactions = Reactions.join(', ');
-      await botApi.sendMessage(chatId, '✅ Enabled Reactions : \n\n' + reactions);
+      await botApi.sendMessage(chatId, t(lang, 'reactions', { reactions: formatPool(pool) }));
+      return;
+    } else if (data.message && donate.enabled && DONATE_RE.test(text)) {
+      await onDonate(text, content, settings, botApi, botUsername, options);
+      return;
+    }
+
+    // Admin-only per-chat settings: /setreactions, /setrandom, /pause, /resume, /settings
+    const command = parseCommand(text, botUsername);
+    if (command && SETTINGS_COMMANDS.includes(command.command)) {
+      if (await isChatAdmin(botApi, content)) {
+        await handleSettingsCommand(command.command, command.args, content, botApi, store, {
+          reactions: defaultPool,
+          randomLevel: RandomLevel,
+        });
+      } else {
+        await botApi.sendMessage(chatId, '⛔️ Only chat admins can change reaction settings.');
+      }
       return;
-    } else if (data.message && (text === '/donate' || text === '/start donate')) {
-      await botApi.sendInvoice(
+    }
+
+    if (command && command.command === 'stats') {
+      if (!(await isChatAdmin(botApi, content))) {
+        await botApi.sendMessage(chatId, '⛔️ Only chat admins can view reaction stats.');
+      } else if (!stats) {
+        await botApi.sendMessage(chatId, '⚠️ Reaction stats are not enabled on this deployment.');
+      } else {
+        await botApi.sendMessage(chatId, formatChatStats(await stats.chat(botApi.botId, chatId)));
+      }
+      return;
+    }
+
+    if (command && command.command === 'broadcast' && content.chat.type === 'private') {
+      await onBroadcastCommand(command.args, content, botApi, options);
+      return;
+    }
+
+    if (command && (command.command === 'donations' || command.command === 'refund') && content.chat.type === 'private') {
+      await onDonationsCommand(command, content, botApi, options);
+      return;
+    }
+
+    if (command && command.command === 'rules') {
+      const active = rulesForChat(rules, chatId);
+      await botApi.sendMessage(
         chatId,
-        'Donate to Auto Reaction Bot ✨',
-        donateMessage,
-        '{}',
-        '',
-        'donate',
-        'XTR',
-        [{ label: 'Pay ⭐️5', amount: 5 }]
+        active.length
+          ? '📋 Reaction Rules :\n\n' + describeRules(active)
+          : '📋 No reaction rules in this chat. Reactions are picked from /reactions.'
       );
       return;
     }
 
+    if (command && command.command === 'schedule') {
+      await botApi.sendMessage(chatId, describeSchedule(options.schedule, chatId));
+      return;
+    }
+
     // --- Reaction logic with delay ---
-    if (!RestrictedChats.includes(chatId)) {
-      const chatType = content.chat.type; // 'private' | 'group' | 'supergroup' | 'channel'
-      const reaction = getRandomPositiveReaction(Reactions);
-
-      // Threshold: higher RandomLevel => lower chance to react (same as your original logic)
-      const threshold = 1 - RandomLevel / 10;
-
-      const shouldReact =
-        chatType === 'private' // always react in private
-          ? true
-          : Math.random() <= threshold;
-
-      if (shouldReact) {
-        const delayMs = pickDelayMs(chatType, RandomLevel);
-        // Fire-and-forget; don't block webhook response
-        scheduleReaction(botApi, chatId, message_id, reaction, delayMs);
-      }
+    await reactToContent(content, botApi, context, RestrictedChats, RandomLevel, options);
+  } else if (data.edited_channel_post) {
+    // 'keep' leaves the existing reaction alone
+    if (updateHandling.editedPosts === 'rereact') {
+      const post = data.edited_channel_post;
+      const context = await chatContext(post.chat, botApi, Reactions, options);
+      await reactToContent(post, botApi, context, RestrictedChats, RandomLevel, options, true);
+    }
+  } else if (data.my_chat_member) {
+    await trackMembership(data.my_chat_member, botApi, options.registry);
+    if (updateHandling.memberUpdates) await onMyChatMember(data.my_chat_member, botApi, options);
+  } else if (data.message_reaction) {
+    const mode = updateHandling.reactionUpdates;
+    if (mode && mode !== 'off') {
+      await onMessageReaction(data.message_reaction, botApi, Reactions, RestrictedChats, RandomLevel, options, mode);
     }
   } else if (data.pre_checkout_query) {
-    await botApi.answerPreCheckoutQuery(data.pre_checkout_query.id, true);
-    await botApi.sendMessage(data.pre_checkout_query.from.id, 'Thank you for your donation! 💝');
+    await onPreCheckout(data.pre_checkout_query, botApi, options);
   }
 }
@@ -0,0 +1,168 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import TelegramBotAPI from './TelegramBotAPI.js';
+import { safeEqual } from './helper.js';
+import { logger } from './logger.js';
+
+/**
+ * Shared bot map builder for api/index.js (process.env) and api/worker.js (Workers env).
+ * Keep all BOT_TOKEN / BOT_TOKENS / BOT_USERNAMES parsing here so both entrypoints agree.
+ */
+
+export const parseList = (raw = '') =>
+  raw
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// Remove BOM/quotes/odd characters that sometimes creep in when tokens are copy–pasted
+export const cleanToken = (t = '') =>
+  t
+    .replace(/\uFEFF/g, '')                 // remove BOM
+    .replace(/[“”‘’]/g, '"')                // normalize smart quotes
+    .replace(/^[\s"'`]+|[\s"'`]+$/g, '')    // trim quotes/whitespace around
+    .trim();
+
+/**
+ * Look up a configured bot by ID in either mode.
+ *
+ * @param {{ multiBotMap: Map, singleBot: (Object|null) }} bots - From buildBotMap
+ * @param {string} botId
+ * @returns {Object|null} Entry from multiBotMap or singleBot
+ */
+export function resolveBot({ multiBotMap, singleBot }, botId) {
+  const id = String(botId);
+  if (multiBotMap.has(id)) return multiBotMap.get(id);
+  return singleBot && singleBot.api.botId === id ? singleBot : null;
+}
+
+// Telegram allows 1-256 characters: A-Z, a-z, 0-9, _ and -
+const SECRET_RE = /^[A-Za-z0-9_-]{1,256}$/;
+
+const parseSecret = (raw, label) => {
+  const secret = cleanToken(raw || '');
+  if (secret && !SECRET_RE.test(secret)) {
+    logger.error(`❌ Ignoring invalid webhook secret for ${label}: only A-Z, a-z, 0-9, _ and - (max 256) are allowed.`);
+    return '';
+  }
+  return secret;
+};
+
+/**
+ * TelegramBotAPI retry / rate-limit / cache / API server / dry-run options from env
+ * (unset values keep the client defaults).
+ */
+function apiOptions(env) {
+  const options = {};
+  const set = (key, raw) => {
+    if (raw !== undefined && raw !== '' && !Number.isNaN(Number(raw))) options[key] = Number(raw);
+  };
+  set('maxRetries', env.TELEGRAM_MAX_RETRIES);
+  set('botPerSec', env.RATE_LIMIT_BOT_PER_SEC);
+  set('chatPerMin', env.RATE_LIMIT_CHAT_PER_MIN);
+  set('reactionsCacheTtlSec', env.AVAILABLE_REACTIONS_TTL_SEC);
+  if (env.TELEGRAM_API_URL) options.apiBaseUrl = env.TELEGRAM_API_URL;
+  options.dryRun = env.DRY_RUN === 'true';
+  return options;
+}
+
+/**
+ * Build the bot configuration from an env-like object.
+ *
+ * @param {Object} env - process.env or the Workers `env` binding
+ * Webhook secrets: WEBHOOK_SECRETS (comma-separated, same order as BOT_TOKENS);
+ * WEBHOOK_SECRET is used for the single bot and for any multi-bot entry without its own.
+ *
+ * @returns {{ multiBotMap: Map<string, {token: string, username: string, secret: string, api: TelegramBotAPI}>,
+ *             multiMode: boolean,
+ *             singleBot: ({token: string, username: string, secret: string, api: TelegramBotAPI}|null) }}
+ */
+export function buildBotMap(env) {
+  const botTokenSingle = env.BOT_TOKEN;                    // legacy single-bot
+  const tokensRaw     = parseList(env.BOT_TOKENS || '');   // multi-bot (comma-separated)
+  const usernamesRaw  = parseList(env.BOT_USERNAMES || '');// optional, same order as BOT_TOKENS
+  const secretsRaw    = parseList(env.WEBHOOK_SECRETS || '');// optional, same order as BOT_TOKENS
+
+  const options = apiOptions(env);
+
+  // Build a map: botId (digits before colon) -> { token, username, api }
+  const multiBotMap = new Map();
+  tokensRaw.forEach((raw, i) => {
+    const token = cleanToken(raw);
+
+    // Be tolerant: find "<digits>:" anywhere (not only at the very beginning)
+    const m = token.match(/(\d+):/);
+    if (!m) {
+      logger.error('❌ Skipping invalid BOT_TOKENS entry', { entry: JSON.stringify(raw) });
+      return;
+    }
+
+    const botId = m[1];
+    const username = usernamesRaw[i] || env.BOT_USERNAME || '';
+
+    // Avoid accidental duplicates
+    if (multiBotMap.has(botId)) {
+      logger.warn(`⚠️ Duplicate botId ${botId} in BOT_TOKENS; keeping the first occurrence.`);
+      return;
+    }
+
+    multiBotMap.set(botId, {
+      token,
+      username,
+      secret: parseSecret(secretsRaw[i] || env.WEBHOOK_SECRET, `bot ${botId}`),
+      rejectedUpdates: 0,
+      api: new TelegramBotAPI(token, options),
+    });
+  });
+
+  const multiMode = multiBotMap.size > 0;
+
+  const singleBot =
+    botTokenSingle && !multiMode
+      ? {
+          token: cleanToken(botTokenSingle),
+          username: env.BOT_USERNAME || '',
+          secret: parseSecret(env.WEBHOOK_SECRET, 'BOT_TOKEN'),
+          rejectedUpdates: 0,
+          api: new TelegramBotAPI(cleanToken(botTokenSingle), options),
+        }
+      : null;
+
+  return { multiBotMap, multiMode, singleBot };
+}
+
+/**
+ * Resolve the `:botId` part of /webhook/<botId> to a configured bot.
+ * Be defensive: only digits are kept.
+ *
+ * @returns {{ cleanedId: string, entry: (Object|undefined) }}
+ */
+export function findBot(multiBotMap, rawId) {
+  const cleanedId = String(rawId || '').replace(/\D/g, '');
+  return { cleanedId, entry: multiBotMap.get(cleanedId) };
+}
+
+/**
+ * Verify the X-Telegram-Bot-Api-Secret-Token header against the bot's secret.
+ * Bots without a configured secret accept every request (old deployments keep working).
+ * Rejections since the last valid update are counted on the entry so /check can spot
+ * a webhook registered without the secret.
+ *
+ * @param {Object} bot - Entry from multiBotMap or singleBot
+ * @param {string|null|undefined} header - Header value from the request
+ * @returns {boolean}
+ */
+export function verifySecretToken(bot, header) {
+  if (!bot.secret) return true;
+  if (typeof header === 'string' && safeEqual(header, bot.secret)) {
+    bot.rejectedUpdates = 0;
+    return true;
+  }
+
+  bot.rejectedUpdates += 1;
+  bot.lastRejectedAt = new Date().toISOString();
+  return false;
+}
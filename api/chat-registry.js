@@ -0,0 +1,272 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { escapeMarkdown } from './helper.js';
+import { logger } from './logger.js';
+import { RetryLaterError } from './TelegramBotAPI.js';
+
+/**
+ * Chats each bot has seen, for /broadcast. Kept in the same store as the per-chat settings.
+ *
+ *    chat:<botId>:<chatId>  -> { id, type, title, username, firstSeen, lastSeen }
+ *
+ * Chats are added from message / channel_post traffic and my_chat_member joins, and
+ * removed when the bot leaves, is kicked or blocked, or Telegram says the chat is gone.
+ */
+
+const chatKey = (botId, chatId) => `chat:${botId}:${chatId}`;
+
+// Don't rewrite an entry on every message; lastSeen only needs to be roughly right
+const TOUCH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// `/broadcast <target> <text>`: everything, one chat type, or a list of chat IDs
+export const BROADCAST_TARGETS = {
+  all: () => true,
+  channels: (chat) => chat.type === 'channel',
+  groups: (chat) => chat.type === 'group' || chat.type === 'supergroup',
+  private: (chat) => chat.type === 'private',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Send errors after which a chat can't be reached anymore
+const GONE_RE = /bot was kicked|bot was blocked|chat not found|user is deactivated|not a member|group chat was deleted/i;
+
+export class ChatRegistry {
+  /**
+   * @param {Object} store - Key/value store (see storage.js)
+   */
+  constructor(store) {
+    this.store = store;
+    // key -> { at, title } of the last write (per process / isolate)
+    this.touched = new Map();
+  }
+
+  /**
+   * Add or refresh a chat. Never throws; the registry must not break reactions.
+   */
+  async seen(botId, chat) {
+    const key = chatKey(botId, chat.id);
+    const title = chat.title || chat.first_name || '';
+    const last = this.touched.get(key);
+    if (last && last.title === title && Date.now() - last.at < TOUCH_INTERVAL_MS) return;
+
+    try {
+      const now = Date.now();
+      const entry = (await this.store.get(key)) || { id: chat.id, firstSeen: now };
+      await this.store.set(key, {
+        ...entry,
+        type: chat.type,
+        title,
+        username: chat.username || null,
+        lastSeen: now,
+      });
+      this.touched.set(key, { at: now, title });
+    } catch (err) {
+      logger.error('Updating the chat registry failed', { botId, chatId: chat.id, error: err?.message || String(err) });
+    }
+  }
+
+  async remove(botId, chatId) {
+    const key = chatKey(botId, chatId);
+    this.touched.delete(key);
+    await this.store.delete(key);
+  }
+
+  /**
+   * @param {string} botId
+   * @param {Function} [filter] - (chat) => boolean
+   * @returns {Promise<Array<Object>>} Registry entries
+   */
+  async list(botId, filter = BROADCAST_TARGETS.all) {
+    const keys = await this.store.list(chatKey(botId, ''));
+    const chats = await Promise.all(keys.map((key) => this.store.get(key)));
+    return chats.filter((chat) => chat && filter(chat));
+  }
+
+  /**
+   * The next `limit` entries after `cursor` (a registry key, null to start), in key order.
+   * `chat` is null for an entry deleted since the keys were listed.
+   *
+   * @returns {Promise<Array<{ key: string, chat: Object|null }>>}
+   */
+  async after(botId, cursor = null, limit = 100) {
+    const keys = (await this.store.list(chatKey(botId, '')))
+      .filter((key) => cursor === null || key > cursor)
+      .sort()
+      .slice(0, limit);
+    const chats = await Promise.all(keys.map((key) => this.store.get(key)));
+    return keys.map((key, i) => ({ key, chat: chats[i] }));
+  }
+
+  /**
+   * Chat counts per type, e.g. { channel: 3, supergroup: 5, private: 40 }.
+   */
+  async counts(botId) {
+    const counts = {};
+    (await this.list(botId)).forEach((chat) => {
+      counts[chat.type] = (counts[chat.type] || 0) + 1;
+    });
+    return counts;
+  }
+}
+
+/**
+ * Chat filter for a broadcast target: a BROADCAST_TARGETS name or comma-separated chat IDs.
+ *
+ * @returns {Function|null} (chat) => boolean, null when the target is unusable
+ */
+export function broadcastFilter(target) {
+  if (BROADCAST_TARGETS[target.toLowerCase()]) return BROADCAST_TARGETS[target.toLowerCase()];
+  if (/^-?\d+(,-?\d+)*$/.test(target)) {
+    const ids = target.split(',').map(Number);
+    return (chat) => ids.includes(chat.id);
+  }
+  return null;
+}
+
+/**
+ * Split `/broadcast` arguments into a target and the message text.
+ *
+ * @param {string} args - e.g. "channels Back online! 🎉" or "-1001,-1002 Hello"
+ * @returns {{ target: string, label: string, text: string }|null} null when unusable
+ */
+export function parseBroadcast(args) {
+  const match = /^(\S+)\s+([\s\S]+)$/.exec(args || '');
+  if (!match || !broadcastFilter(match[1])) return null;
+  const [, target, text] = match;
+  const label = BROADCAST_TARGETS[target.toLowerCase()] ? target.toLowerCase() : `${target.split(',').length} chat(s)`;
+  return { target, label, text };
+}
+
+/**
+ * State of a broadcast, plain JSON so it can be saved and resumed (see continueBroadcast).
+ *
+ * @param {ChatRegistry} registry
+ * @param {string} botId
+ * @param {Object} request - From parseBroadcast
+ * @param {Object} status - { chatId, statusMessageId } of the message that shows the progress
+ */
+export async function startBroadcast(registry, botId, request, { chatId, statusMessageId }) {
+  const total = (await registry.list(botId, broadcastFilter(request.target))).length;
+  return {
+    botId: String(botId),
+    ...request,
+    chatId,
+    statusMessageId,
+    // Last registry key handled; chats are sent to in key order
+    cursor: null,
+    done: false,
+    retryAt: null,
+    startedAt: Date.now(),
+    progress: { total, sent: 0, failed: 0, removed: 0, lastError: null },
+  };
+}
+
+/**
+ * Send `state.text` to the matching chats after `state.cursor`, one after another, until every
+ * chat is done (`state.done`) or `deadline` passes. The cursor and progress move with every chat,
+ * so a run cut short picks up where it stopped: the Workers Durable Object runs a broadcast in
+ * time-boxed batches from its alarm (reaction-queue-do.js), the Node server in one go.
+ *
+ * TelegramBotAPI throttles sendMessage per bot and per chat: a RetryLaterError is waited out when
+ * the slot comes before `deadline`, otherwise the run stops with `state.retryAt` set.
+ * Chats that can't be reached anymore are removed from the registry.
+ *
+ * @param {Object} botApi - TelegramBotAPI instance
+ * @param {ChatRegistry} registry
+ * @param {Object} state - From startBroadcast; updated in place
+ * @param {Object} [options]
+ * @param {number} [options.deadline=Infinity] - Epoch ms to stop at
+ * @param {Function} [options.onProgress] - (state) => void, at most every `progressEveryMs`
+ * @param {number} [options.progressEveryMs=5000]
+ * @returns {Promise<Object>} state
+ */
+export async function continueBroadcast(
+  botApi,
+  registry,
+  state,
+  { deadline = Infinity, onProgress = null, progressEveryMs = 5000 } = {}
+) {
+  const filter = broadcastFilter(state.target);
+  const { progress } = state;
+  let reportedAt = Date.now();
+  state.retryAt = null;
+
+  for (;;) {
+    const entries = await registry.after(state.botId, state.cursor);
+    if (entries.length === 0) {
+      state.done = true;
+      return state;
+    }
+
+    for (const { key, chat } of entries) {
+      if (Date.now() >= deadline) return state;
+
+      while (chat && filter(chat)) {
+        try {
+          await botApi.sendMessage(chat.id, state.text);
+          progress.sent += 1;
+        } catch (err) {
+          // Throttled: nothing was sent, try the same chat again when the slot is free
+          if (err instanceof RetryLaterError) {
+            if (err.retryAt >= deadline) {
+              state.retryAt = err.retryAt;
+              return state;
+            }
+            await sleep(err.retryAt - Date.now());
+            continue;
+          }
+          progress.failed += 1;
+          progress.lastError = err?.message || String(err);
+          if (GONE_RE.test(progress.lastError)) {
+            await registry.remove(state.botId, chat.id);
+            progress.removed += 1;
+          }
+        }
+        break;
+      }
+      state.cursor = key;
+
+      if (onProgress && Date.now() - reportedAt >= progressEveryMs) {
+        reportedAt = Date.now();
+        await onProgress(state);
+      }
+    }
+  }
+}
+
+/**
+ * Show the progress in the broadcast's status message. Updates while throttled are skipped;
+ * the final one waits for its slot. Never throws.
+ */
+export async function reportBroadcast(botApi, state) {
+  const text = formatBroadcastProgress(state.label, state.progress, state.done);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await botApi.editMessageText(state.chatId, state.statusMessageId, text);
+      return;
+    } catch (err) {
+      if (state.done && err instanceof RetryLaterError && attempt < 3) {
+        await sleep(err.retryAt - Date.now());
+        continue;
+      }
+      logger.warn('Broadcast progress update failed', { botId: state.botId, error: err?.message || String(err) });
+      return;
+    }
+  }
+}
+
+/**
+ * "📣 Broadcast to channels: 40/120 sent, 2 failed (1 unreachable chat(s) removed)" (Markdown-safe)
+ */
+export function formatBroadcastProgress(label, progress, done = false) {
+  const { total, sent, failed, removed, lastError } = progress;
+  return (
+    `📣 Broadcast to ${label}${done ? ' finished' : ''}: ${sent}/${total} sent, ${failed} failed` +
+    (removed ? ` (${removed} unreachable chat(s) removed)` : '') +
+    (done && lastError ? `\nLast error: ${escapeMarkdown(lastError)}` : '')
+  );
+}
@@ -0,0 +1,174 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { parseEmojiPool, validatePool, toPool, formatPool } from './emoji-pool.js';
+import { SUPPORTED_LANGUAGES, LANGUAGE_NAMES } from './i18n.js';
+import { logger } from './logger.js';
+
+/**
+ * Per-chat reaction settings, changed by chat admins from inside Telegram:
+ *    /setreactions 👍🔥🎉   (weights work too: 👍:5,🔥:1; no args or "reset" -> back to EMOJI_LIST)
+ *    /setrandom 0-10        (no args or "reset" -> back to RANDOM_LEVEL)
+ *    /setlanguage en|si|ta|ru  (no args or "reset" -> each user's Telegram language)
+ *    /pause, /resume
+ *    /settings
+ *
+ * Stored as `settings:<botId>:<chatId>` -> { reactions?, randomLevel?, paused?, language? }
+ * (`reactions` is an emoji pool, see emoji-pool.js)
+ *
+ * The admin dashboard can also pause a whole bot: `paused:<botId>` -> { at }
+ */
+
+export const SETTINGS_COMMANDS = ['setreactions', 'setrandom', 'setlanguage', 'pause', 'resume', 'settings'];
+
+const settingsKey = (botId, chatId) => `settings:${botId}:${chatId}`;
+const botPausedKey = (botId) => `paused:${botId}`;
+
+/**
+ * @returns {Promise<Object>} saved overrides for the chat ({} when none)
+ */
+export async function getChatSettings(store, botId, chatId) {
+  if (!store) return {};
+  return (await store.get(settingsKey(botId, chatId))) || {};
+}
+
+/**
+ * Merge a patch into the chat's settings. `undefined` values remove the override.
+ */
+export async function updateChatSettings(store, botId, chatId, patch) {
+  const current = await getChatSettings(store, botId, chatId);
+  const next = { ...current, ...patch };
+  Object.keys(next).forEach((k) => next[k] === undefined && delete next[k]);
+
+  if (Object.keys(next).length === 0) {
+    await store.delete(settingsKey(botId, chatId));
+  } else {
+    await store.set(settingsKey(botId, chatId), next);
+  }
+  return next;
+}
+
+export async function deleteChatSettings(store, botId, chatId) {
+  if (store) await store.delete(settingsKey(botId, chatId));
+}
+
+/**
+ * Bot-wide pause: no reactions in any chat; commands still work.
+ */
+export async function isBotPaused(store, botId) {
+  if (!store) return false;
+  return !!(await store.get(botPausedKey(botId)));
+}
+
+export async function setBotPaused(store, botId, paused) {
+  if (paused) {
+    await store.set(botPausedKey(botId), { at: Date.now() });
+  } else {
+    await store.delete(botPausedKey(botId));
+  }
+}
+
+/**
+ * Only chat admins may change settings.
+ * - private chats: the user owns the chat
+ * - channel posts: only admins can post
+ * - anonymous group admins post as the group itself (sender_chat === chat)
+ */
+export async function isChatAdmin(botApi, content) {
+  const chat = content.chat;
+  if (chat.type === 'private' || chat.type === 'channel') return true;
+  if (content.sender_chat && content.sender_chat.id === chat.id) return true;
+  if (!content.from) return false;
+
+  try {
+    const member = await botApi.getChatMember(chat.id, content.from.id);
+    return member?.status === 'creator' || member?.status === 'administrator';
+  } catch (err) {
+    logger.error('getChatMember failed', { chatId: chat.id, error: err?.message || String(err) });
+    return false;
+  }
+}
+
+/**
+ * Handle one of SETTINGS_COMMANDS. Caller must check isChatAdmin first.
+ *
+ * @param {string} command - Command name without slash
+ * @param {string} args - Text after the command
+ * @param {Object} content - Telegram message / channel_post
+ * @param {Object} botApi - TelegramBotAPI instance
+ * @param {Object} store - Settings store
+ * @param {Object} defaults - { reactions (pool), randomLevel } used when no override is set
+ */
+export async function handleSettingsCommand(command, args, content, botApi, store, defaults) {
+  const chatId = content.chat.id;
+  const botId = botApi.botId;
+  const isReset = !args || args.toLowerCase() === 'reset';
+
+  if (!store) {
+    await botApi.sendMessage(chatId, '⚠️ Per-chat settings are not enabled on this deployment.');
+    return;
+  }
+
+  if (command === 'setreactions') {
+    const { pool: reactions, invalid } = isReset
+      ? { pool: undefined, invalid: [] }
+      : validatePool(parseEmojiPool(args), `/setreactions in ${chatId}`);
+    const skipped = invalid.length ? `\n\n⚠️ Not allowed as reactions, skipped : ${invalid.join(' ')}` : '';
+    if (reactions && reactions.length === 0) {
+      await botApi.sendMessage(
+        chatId,
+        '❌ No usable emojis found. Usage: /setreactions 👍🔥🎉 or /setreactions 👍:5,🔥:1' + skipped
+      );
+      return;
+    }
+    await updateChatSettings(store, botId, chatId, { reactions });
+    await botApi.sendMessage(
+      chatId,
+      (reactions ? '✅ Reactions set to : ' + formatPool(reactions) : '✅ Reactions reset to default.') + skipped
+    );
+  } else if (command === 'setrandom') {
+    const level = isReset ? undefined : Number(args);
+    if (level !== undefined && (!Number.isInteger(level) || level < 0 || level > 10)) {
+      await botApi.sendMessage(chatId, '❌ Random level must be a whole number from 0 to 10. Usage: /setrandom 3');
+      return;
+    }
+    await updateChatSettings(store, botId, chatId, { randomLevel: level });
+    await botApi.sendMessage(
+      chatId,
+      level !== undefined ? `✅ Random level set to ${level}.` : '✅ Random level reset to default.'
+    );
+  } else if (command === 'setlanguage') {
+    const language = isReset ? undefined : args.toLowerCase();
+    if (language !== undefined && !SUPPORTED_LANGUAGES.includes(language)) {
+      await botApi.sendMessage(chatId, `❌ Unknown language. Usage: /setlanguage ${SUPPORTED_LANGUAGES.join('|')}`);
+      return;
+    }
+    await updateChatSettings(store, botId, chatId, { language });
+    await botApi.sendMessage(
+      chatId,
+      language
+        ? `✅ Language set to ${LANGUAGE_NAMES[language]}.`
+        : "✅ Language reset: each user's Telegram language is used."
+    );
+  } else if (command === 'pause') {
+    await updateChatSettings(store, botId, chatId, { paused: true });
+    await botApi.sendMessage(chatId, '⏸ Reactions paused in this chat. Use /resume to turn them back on.');
+  } else if (command === 'resume') {
+    await updateChatSettings(store, botId, chatId, { paused: undefined });
+    await botApi.sendMessage(chatId, '▶️ Reactions resumed in this chat.');
+  } else if (command === 'settings') {
+    const settings = await getChatSettings(store, botId, chatId);
+    const reactions = toPool(settings.reactions || defaults.reactions);
+    const randomLevel = settings.randomLevel ?? defaults.randomLevel;
+    await botApi.sendMessage(
+      chatId,
+      '⚙️ Chat Settings :\n\n' +
+        `Status : ${settings.paused ? '⏸ Paused' : '▶️ Active'}\n` +
+        `Reactions${settings.reactions ? '' : ' (default)'} : ${formatPool(reactions)}\n` +
+        `Random level${settings.randomLevel !== undefined ? '' : ' (default)'} : ${randomLevel}\n` +
+        `Language : ${settings.language ? LANGUAGE_NAMES[settings.language] : "Each user's Telegram language"}`
+    );
+  }
+}
@@ -0,0 +1,446 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import YAML from 'yaml';
+import { parseChatIds } from './helper.js';
+import { buildBotMap, parseList, cleanToken } from './bots.js';
+import { parseEmojiPool, validatePool, reactionPoolsFromEnv } from './emoji-pool.js';
+import { parseRules } from './rules.js';
+import { parseSchedule } from './schedule.js';
+import { filtersFromEnv } from './filters.js';
+import { updateHandlingFromEnv } from './update-types.js';
+import { configureLogger, loggerConfigFromEnv, redact } from './logger.js';
+import { DEFAULT_API_BASE_URL } from './TelegramBotAPI.js';
+import { SUPPORTED_LANGUAGES } from './i18n.js';
+
+/**
+ * One config loader for api/index.js, api/worker.js, the queue Durable Object and scripts.
+ * Reads the env, validates it and throws a ConfigError listing every problem at once.
+ *
+ * Optional config file (JSON or YAML) with defaults and per-bot overrides:
+ *    - Node: CONFIG_FILE=config.yaml
+ *    - Workers: BOT_CONFIG="<the file contents>"
+ *
+ *    defaults:
+ *      randomLevel: 2
+ *    bots:
+ *      "123456789":
+ *        emojis: "🎉:5,🥳,🔥"
+ *        randomLevel: 0
+ *        delay: { min: 1000, max: 3000 }
+ *        restrictedChats: [-1001234567890]
+ *        startMessage: "Hi {name}, I react to everything 🎉"  # or { en: "...", ru: "..." }
+ *        donate: { tiers: [10, 50] }  # Stars amounts; or false to turn /donate off
+ *        owners: [11111111]           # user IDs allowed to /broadcast
+ *        schedule:                    # quiet hours / time windows, see schedule.js
+ *          - { name: Night, timezone: Asia/Colombo, time: "22:00-07:00", react: false }
+ *
+ * Per-bot keys: emojis, emojiPools ({ private, group, channel }), randomLevel,
+ * delay ({ min, max } in ms), restrictedChats, startMessage, donate
+ * ({ enabled, tiers, title, description }), owners and schedule. Env values apply where the file is silent.
+ */
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super('Invalid configuration:\n  - ' + errors.join('\n  - '));
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+// <bot id>:<secret> as issued by @BotFather
+const TOKEN_RE = /^\d+:[A-Za-z0-9_-]{30,}$/;
+// 5-32 characters: letters, digits and underscores, starting with a letter
+const USERNAME_RE = /^[A-Za-z][A-Za-z0-9_]{4,31}$/;
+
+const PROFILE_KEYS = [
+  'emojis', 'emojiPools', 'randomLevel', 'delay', 'restrictedChats', 'startMessage', 'donate', 'owners', 'schedule',
+];
+const DONATE_KEYS = ['enabled', 'tiers', 'title', 'description'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+function toInt(raw, name, errors, { min, max, fallback }) {
+  if (!isSet(raw)) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || (min !== undefined && n < min) || (max !== undefined && n > max)) {
+    const range = max !== undefined ? `${min}-${max}` : `>= ${min}`;
+    errors.push(`${name} must be a whole number (${range}), got "${raw}".`);
+    return fallback;
+  }
+  return n;
+}
+
+/**
+ * Emojis from the config file: a string in EMOJI_LIST syntax, or a list of
+ * strings ("👍:5") / { emoji, weight } objects.
+ */
+function poolFromFile(value, label, errors) {
+  if (Array.isArray(value)) {
+    const raw = value.map((e) => (typeof e === 'object' ? `${e.emoji}:${e.weight ?? 1}` : String(e))).join(',');
+    return validatePool(parseEmojiPool(raw), label, errors).pool;
+  }
+  return validatePool(parseEmojiPool(String(value)), label, errors).pool;
+}
+
+function parseDelay(min, max, label, errors) {
+  if (!isSet(min) && !isSet(max)) return null;
+  if (!isSet(min) || !isSet(max)) {
+    errors.push(`${label}: set both the minimum and the maximum delay, or neither.`);
+    return null;
+  }
+  const minMs = Number(min);
+  const maxMs = Number(max);
+  if (!Number.isFinite(minMs) || !Number.isFinite(maxMs) || minMs < 0 || maxMs < 0) {
+    errors.push(`${label}: delays must be positive numbers of milliseconds.`);
+    return null;
+  }
+  if (minMs > maxMs) {
+    errors.push(`${label}: minimum delay (${minMs}ms) is greater than the maximum (${maxMs}ms).`);
+    return null;
+  }
+  return { minMs, maxMs };
+}
+
+/**
+ * Donation amounts in Telegram Stars: "5,25,100" or a list. Sorted, duplicates dropped.
+ */
+function parseTiers(raw, label, errors, fallback) {
+  if (!isSet(raw)) return fallback;
+  const items = Array.isArray(raw) ? raw.map(String) : parseList(String(raw));
+  const tiers = items.map((item) => toInt(item, label, errors, { min: 1, max: 10000, fallback: null }));
+  if (items.length === 0 || tiers.includes(null)) {
+    if (items.length === 0) errors.push(`${label}: needs at least one amount.`);
+    return fallback;
+  }
+  return [...new Set(tiers)].sort((a, b) => a - b);
+}
+
+/**
+ * /start text: one string, or one per language ({ en: "...", si: "..." }) with the
+ * rest falling back to `en` and then the built-in text.
+ */
+function parseStartMessage(value, label, errors) {
+  if (typeof value !== 'object') return String(value);
+  const unknown = Object.keys(value).filter((lang) => !SUPPORTED_LANGUAGES.includes(lang));
+  if (Array.isArray(value) || unknown.length) {
+    errors.push(`${label}: expected a string or an object with keys ${SUPPORTED_LANGUAGES.join(', ')}.`);
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, text]) => isSet(text))
+      .map(([lang, text]) => [lang, String(text)])
+  );
+}
+
+/**
+ * Donate settings: `false` turns /donate off, `true` keeps the current ones,
+ * an object overrides single fields. `title` / `description` of null mean the built-in texts.
+ */
+function parseDonate(value, base, label, errors) {
+  if (typeof value === 'boolean') return { ...base, enabled: value };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label}: expected true, false or an object with ${DONATE_KEYS.join(', ')}.`);
+    return base;
+  }
+  Object.keys(value)
+    .filter((key) => !DONATE_KEYS.includes(key))
+    .forEach((key) => errors.push(`${label}: unknown setting "${key}" (allowed: ${DONATE_KEYS.join(', ')}).`));
+  return {
+    enabled: value.enabled === undefined ? base.enabled : value.enabled !== false,
+    tiers: parseTiers(value.tiers, `${label} tiers`, errors, base.tiers),
+    title: isSet(value.title) ? String(value.title) : base.title,
+    description: isSet(value.description) ? String(value.description) : base.description,
+  };
+}
+
+/**
+ * Telegram user IDs (positive integers) from a comma-separated list.
+ */
+function parseOwners(raw, label, errors) {
+  const ids = parseList(String(raw || ''));
+  const bad = ids.filter((id) => !/^\d+$/.test(id));
+  if (bad.length) errors.push(`${label}: not a Telegram user ID: ${bad.join(', ')}.`);
+  return ids.filter((id) => /^\d+$/.test(id)).map(Number);
+}
+
+/**
+ * Apply config-file overrides on top of a profile.
+ */
+function applyOverrides(base, overrides, label, errors) {
+  const profile = { ...base };
+  if (!overrides) return profile;
+
+  Object.keys(overrides)
+    .filter((key) => !PROFILE_KEYS.includes(key))
+    .forEach((key) => errors.push(`${label}: unknown setting "${key}" (allowed: ${PROFILE_KEYS.join(', ')}).`));
+
+  if (isSet(overrides.emojis)) profile.reactions = poolFromFile(overrides.emojis, `${label} emojis`, errors);
+  if (overrides.emojiPools) {
+    const pools = overrides.emojiPools;
+    profile.reactionPools = {
+      private: pools.private ? poolFromFile(pools.private, `${label} emojiPools.private`, errors) : [],
+      group: pools.group ? poolFromFile(pools.group, `${label} emojiPools.group`, errors) : [],
+      channel: pools.channel ? poolFromFile(pools.channel, `${label} emojiPools.channel`, errors) : [],
+    };
+  }
+  if (isSet(overrides.randomLevel)) {
+    profile.randomLevel = toInt(overrides.randomLevel, `${label} randomLevel`, errors, {
+      min: 0,
+      max: 10,
+      fallback: profile.randomLevel,
+    });
+  }
+  if (overrides.delay) {
+    profile.delay = parseDelay(overrides.delay.min, overrides.delay.max, `${label} delay`, errors);
+  }
+  if (overrides.restrictedChats) {
+    profile.restrictedChats = parseChatIds([].concat(overrides.restrictedChats), `${label} restrictedChats`, errors);
+  }
+  if (overrides.owners) profile.owners = parseOwners([].concat(overrides.owners).join(','), `${label} owners`, errors);
+  if (isSet(overrides.startMessage)) {
+    profile.startMessage = parseStartMessage(overrides.startMessage, `${label} startMessage`, errors);
+  }
+  if (overrides.schedule !== undefined) {
+    profile.schedule = parseSchedule(overrides.schedule, `${label} schedule`, errors);
+  }
+  if (overrides.donate !== undefined) profile.donate = parseDonate(overrides.donate, profile.donate, `${label} donate`, errors);
+  return profile;
+}
+
+function parseConfigFile(text, source, errors) {
+  if (!isSet(text)) return {};
+  try {
+    // YAML is a superset of JSON, so one parser covers both
+    const parsed = YAML.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    errors.push(`${source}: expected an object with "defaults" and/or "bots".`);
+  } catch (e) {
+    errors.push(`${source}: could not parse (${e.message.split('\n')[0]}).`);
+  }
+  return {};
+}
+
+function validateBotIdentity(env, errors) {
+  const tokens = parseList(env.BOT_TOKENS || '');
+  tokens.forEach((raw, i) => {
+    if (!TOKEN_RE.test(cleanToken(raw))) {
+      errors.push(`BOT_TOKENS entry ${i + 1} is not a valid bot token (expected <bot id>:<secret> from @BotFather).`);
+    }
+  });
+  if (tokens.length === 0 && isSet(env.BOT_TOKEN) && !TOKEN_RE.test(cleanToken(env.BOT_TOKEN))) {
+    errors.push('BOT_TOKEN is not a valid bot token (expected <bot id>:<secret> from @BotFather).');
+  }
+
+  const usernames = [...parseList(env.BOT_USERNAMES || ''), ...(isSet(env.BOT_USERNAME) ? [env.BOT_USERNAME] : [])];
+  usernames.forEach((name) => {
+    if (!USERNAME_RE.test(name.replace(/^@/, ''))) {
+      errors.push(`Bot username "${name}" is invalid (5-32 letters, digits or _, starting with a letter).`);
+    }
+  });
+}
+
+/**
+ * @param {Object} env - process.env or the Workers `env` binding
+ * @param {Object} [options]
+ * @param {Function} [options.readFile] - (path) => string; enables CONFIG_FILE, REACTION_RULES_FILE and SCHEDULE_FILE (Node)
+ * @returns {Object} Bots (buildBotMap, each entry with its effective `settings`) plus shared settings
+ * @throws {ConfigError}
+ */
+export function loadConfig(env, { readFile = null } = {}) {
+  configureLogger(loggerConfigFromEnv(env));
+  const errors = [];
+
+  const read = (name) => {
+    if (!isSet(env[name])) return undefined;
+    if (!readFile) {
+      errors.push(`${name} is not supported here (no file system); use the inline variable instead.`);
+      return undefined;
+    }
+    try {
+      return readFile(env[name]);
+    } catch (e) {
+      errors.push(`${name}: could not read "${env[name]}" (${e.message}).`);
+      return undefined;
+    }
+  };
+
+  validateBotIdentity(env, errors);
+  // Telegram client tuning, read by buildBotMap (bots.js)
+  toInt(env.TELEGRAM_MAX_RETRIES, 'TELEGRAM_MAX_RETRIES', errors, { min: 0, max: 10 });
+  toInt(env.RATE_LIMIT_BOT_PER_SEC, 'RATE_LIMIT_BOT_PER_SEC', errors, { min: 1 });
+  toInt(env.RATE_LIMIT_CHAT_PER_MIN, 'RATE_LIMIT_CHAT_PER_MIN', errors, { min: 1 });
+  toInt(env.AVAILABLE_REACTIONS_TTL_SEC, 'AVAILABLE_REACTIONS_TTL_SEC', errors, { min: 0 });
+  if (isSet(env.TELEGRAM_API_URL) && !/^https?:\/\/[^\s/]+/.test(env.TELEGRAM_API_URL)) {
+    errors.push(`TELEGRAM_API_URL must be an http(s) URL, got "${env.TELEGRAM_API_URL}".`);
+  }
+
+  const file = isSet(env.CONFIG_FILE)
+    ? parseConfigFile(read('CONFIG_FILE'), 'CONFIG_FILE', errors)
+    : parseConfigFile(env.BOT_CONFIG, 'BOT_CONFIG', errors);
+
+  // Settings every bot shares unless the config file overrides them
+  const envProfile = {
+    reactions: validatePool(parseEmojiPool(env.EMOJI_LIST), 'EMOJI_LIST', errors).pool,
+    reactionPools: reactionPoolsFromEnv(env, errors),
+    randomLevel: toInt(env.RANDOM_LEVEL, 'RANDOM_LEVEL', errors, { min: 0, max: 10, fallback: 0 }),
+    delay: parseDelay(env.REACT_DELAY_MIN_MS, env.REACT_DELAY_MAX_MS, 'REACT_DELAY_MIN_MS / REACT_DELAY_MAX_MS', errors),
+    restrictedChats: parseChatIds(env.RESTRICTED_CHATS, 'RESTRICTED_CHATS', errors),
+    // Telegram user IDs allowed to /broadcast
+    owners: parseOwners(env.OWNER_IDS, 'OWNER_IDS', errors),
+    // null = the built-in text in the user's language (i18n.js); {name} is the user / chat name
+    startMessage: env.START_MESSAGE || null,
+    // Quiet hours / time windows: SCHEDULE (JSON) or SCHEDULE_FILE (path to a JSON file, Node only)
+    schedule: isSet(env.SCHEDULE_FILE)
+      ? parseSchedule(read('SCHEDULE_FILE'), 'SCHEDULE_FILE', errors)
+      : parseSchedule(env.SCHEDULE, 'SCHEDULE', errors),
+    donate: {
+      enabled: env.DONATE !== 'false',
+      tiers: parseTiers(env.DONATE_TIERS, 'DONATE_TIERS', errors, [5]),
+      title: null,
+      description: null,
+    },
+  };
+  const defaults = applyOverrides(envProfile, file.defaults, 'Config file defaults', errors);
+
+  const bots = buildBotMap(env);
+  const entries = bots.multiMode ? Array.from(bots.multiBotMap.values()) : bots.singleBot ? [bots.singleBot] : [];
+  const botOverrides = file.bots || {};
+
+  Object.keys(botOverrides)
+    .filter((id) => !entries.some((bot) => bot.api.botId === String(id)))
+    .forEach((id) => errors.push(`Config file has settings for bot ${id}, which is not in BOT_TOKENS / BOT_TOKEN.`));
+
+  entries.forEach((bot) => {
+    const id = bot.api.botId;
+    bot.settings = applyOverrides(defaults, botOverrides[id], `Bot ${id}`, errors);
+    if (bot.settings.reactions.length === 0) {
+      errors.push(`Bot ${id} has no usable emojis (set EMOJI_LIST or "emojis" in the config file).`);
+    }
+  });
+  if (entries.length === 0) {
+    errors.push('No bot token configured: set BOT_TOKEN, or BOT_TOKENS for several bots.');
+  }
+
+  const config = {
+    ...bots,
+    defaults,
+    avoidLastN: toInt(env.AVOID_LAST_N, 'AVOID_LAST_N', errors, { min: 0, fallback: 0 }),
+    // Telegram lets bots set one reaction per message (more is REACTIONS_TOO_MANY); kept for when that changes
+    reactionCount: toInt(env.REACTION_COUNT, 'REACTION_COUNT', errors, { min: 1, max: 1, fallback: 1 }),
+    isBig: env.REACTION_IS_BIG !== 'false',
+    filters: filtersFromEnv(env, errors),
+    updateHandling: updateHandlingFromEnv(env, errors),
+    // Content rules: REACTION_RULES (JSON) or REACTION_RULES_FILE (path to a JSON file, Node only)
+    rules: isSet(env.REACTION_RULES_FILE)
+      ? parseRules(read('REACTION_RULES_FILE'), 'REACTION_RULES_FILE', errors)
+      : parseRules(env.REACTION_RULES, 'REACTION_RULES', errors),
+    // Redelivered webhook updates (see dedup.js)
+    dedup: {
+      ttlSec: toInt(env.UPDATE_DEDUP_TTL_SEC, 'UPDATE_DEDUP_TTL_SEC', errors, { min: 0, fallback: 3600 }),
+      maxSize: toInt(env.UPDATE_DEDUP_MAX, 'UPDATE_DEDUP_MAX', errors, { min: 1, fallback: 10000 }),
+    },
+    // DRY_RUN=true: reactions, messages and invoices are recorded (GET /debug/dry-run), not sent
+    dryRun: env.DRY_RUN === 'true',
+    // TELEGRAM_API_URL: self-hosted Bot API server or a local stand-in
+    apiBaseUrl: env.TELEGRAM_API_URL || DEFAULT_API_BASE_URL,
+    adminToken: env.ADMIN_TOKEN || '',
+    metricsToken: env.METRICS_TOKEN || '',
+
+    // Node server only
+    port: env.PORT || 3000,
+    // UPDATE_MODE=webhook (default) | polling (getUpdates, no public URL needed)
+    pollingMode: env.UPDATE_MODE === 'polling',
+    publicUrl: env.PUBLIC_URL || env.RENDER_EXTERNAL_URL || 'https://auto1-reaction-bot.onrender.com',
+    // STORAGE=memory (default) | file
+    storage: env.STORAGE === 'file' ? { type: 'file', file: env.STORAGE_FILE || 'data/store.json' } : { type: 'memory' },
+    queueFile: env.QUEUE_FILE || 'data/reaction-queue.json',
+    // QUEUE_INLINE=true: keep delayed reactions in memory and send them before answering the
+    // webhook. On by default on Vercel (read-only disk, no timers once the response is sent)
+    inlineQueue: isSet(env.QUEUE_INLINE) ? env.QUEUE_INLINE === 'true' : isSet(env.VERCEL),
+    inlineQueueMaxWaitMs: toInt(env.QUEUE_INLINE_MAX_WAIT_MS, 'QUEUE_INLINE_MAX_WAIT_MS', errors, {
+      min: 0,
+      fallback: 8000,
+    }),
+  };
+
+  if (config.inlineQueue) checkInlineDelays(config, entries, errors);
+
+  if (errors.length) throw new ConfigError(errors);
+  return config;
+}
+
+/**
+ * With QUEUE_INLINE a reaction must fall due while the webhook request is still open, so a
+ * configured delay longer than QUEUE_INLINE_MAX_WAIT_MS could never be sent. The built-in
+ * per-chat-type delays are capped instead (handlerOptions `maxDelayMs`).
+ */
+function checkInlineDelays(config, entries, errors) {
+  const limit = config.inlineQueueMaxWaitMs;
+  // Bots share the defaults' delay and schedule objects unless they override them; report those once
+  const checked = new Set();
+  const tooLong = (delay, label) => {
+    if (!delay || checked.has(delay)) return;
+    checked.add(delay);
+    if (delay.maxMs > limit) {
+      errors.push(`${label}: maximum delay ${delay.maxMs}ms is longer than QUEUE_INLINE_MAX_WAIT_MS (${limit}ms).`);
+    }
+  };
+  [
+    { label: 'Default', settings: config.defaults },
+    ...entries.map((bot) => ({ label: `Bot ${bot.api.botId}`, settings: bot.settings })),
+  ].forEach(({ label, settings }) => {
+    tooLong(settings.delay, `${label} delay`);
+    settings.schedule.forEach((rule) => tooLong(rule.delay, `${label} schedule "${rule.name}"`));
+  });
+}
+
+/**
+ * onUpdate arguments for one bot: its own emojis, restricted chats, random level, delays,
+ * start message, donate settings, owners and schedule, plus the settings all bots share.
+ * Runtime pieces (store, queue, stats...) are added by the caller.
+ */
+export function handlerOptions(config, bot) {
+  return {
+    reactionPools: bot.settings.reactionPools,
+    delay: bot.settings.delay,
+    // The inline queue only sends what falls due before the webhook response
+    maxDelayMs: config.inlineQueue ? config.inlineQueueMaxWaitMs : Infinity,
+    startMessage: bot.settings.startMessage,
+    donate: bot.settings.donate,
+    owners: bot.settings.owners,
+    schedule: bot.settings.schedule,
+    // Signs donation invoice payloads (see donations.js); not part of bot.settings so /debug can't show it
+    paymentSecret: bot.token,
+    rules: config.rules,
+    avoidLastN: config.avoidLastN,
+    reactionCount: config.reactionCount,
+    isBig: config.isBig,
+    filters: config.filters,
+    updateHandling: config.updateHandling,
+  };
+}
+
+/**
+ * Each bot's effective settings for /debug (ADMIN_TOKEN only) and the dashboard.
+ * Tokens and webhook secrets are redacted.
+ *
+ * @returns {Object} botId -> { username, token, webhookSecret, settings }
+ */
+export function describeBots(config) {
+  const entries = config.multiMode ? Array.from(config.multiBotMap.values()) : config.singleBot ? [config.singleBot] : [];
+  return Object.fromEntries(
+    entries.map((bot) => [
+      bot.api.botId,
+      {
+        username: bot.username || null,
+        token: redact(bot.token),
+        webhookSecret: bot.secret ? '<redacted>' : null,
+        settings: bot.settings,
+      },
+    ])
+  );
+}
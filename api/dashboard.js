@@ -0,0 +1,339 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { isAuthorized, safeEqual, hmacHex, toHex } from './helper.js';
+import { checkAllWebhooks, webhookTargets } from './webhook-check.js';
+import { isBotPaused } from './chat-settings.js';
+import { describeBots } from './config.js';
+import { formatTopEmojis } from './stats.js';
+import { recentProblems, redact } from './logger.js';
+
+/**
+ * Admin dashboard served at GET / by api/index.js and api/worker.js (the public landing
+ * page moved to /about). Disabled without ADMIN_TOKEN; `/` then redirects to /about.
+ *
+ *    GET  /                                  dashboard, or the sign-in form
+ *    POST /dashboard/login                   form field `token` -> session cookie
+ *    POST /dashboard/logout
+ *    POST /dashboard/check                   re-run checkAllWebhooks
+ *    POST /dashboard/bots/<botId>/pause      (or /resume) reactions of one bot, in every chat
+ *
+ * The session cookie holds its issue time, a random nonce and an HMAC of both keyed with
+ * ADMIN_TOKEN, never the token itself. Sessions expire after SESSION_MAX_AGE_SEC (checked on
+ * the server, not only by the browser); signing out stores the nonce as revoked until then, and
+ * changing the token signs everyone out. `Authorization: Bearer <ADMIN_TOKEN>` works too, e.g.
+ * for curl; `?token=` does not, so the token never ends up in a URL or browser history.
+ * On Workers a sign-out reaches other isolates through KV, which can take up to a minute.
+ * A store that doesn't survive a restart (STORAGE=memory) forgets its revocations, so the Node
+ * server then only accepts sessions issued since it started (`notBefore`).
+ *
+ * Reaction counters and pauses come from the store (shared between Worker isolates with KV);
+ * the webhook check and the warnings / errors list are per process / isolate.
+ */
+
+export const SESSION_COOKIE = 'arb_session';
+const SESSION_MAX_AGE_SEC = 7 * 24 * 3600;
+
+const REVOKED_PREFIX = 'dashboard:revoked:';
+const revokedKey = (nonce) => `${REVOKED_PREFIX}${nonce}`;
+
+const signSession = (adminToken, issuedAt, nonce) => hmacHex(adminToken, `dashboard-session:${issuedAt}.${nonce}`);
+
+function readCookie(header, name) {
+  const pair = String(header || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? pair.slice(1).join('=') : null;
+}
+
+// The session in a Cookie header when it is signed with this token and not expired, else null
+async function readSession(adminToken, cookie) {
+  const [issuedAt, nonce, signature, ...rest] = String(readCookie(cookie, SESSION_COOKIE) || '').split('.');
+  if (!signature || rest.length) return null;
+  if (!safeEqual(signature, await signSession(adminToken, issuedAt, nonce))) return null;
+  const age = Date.now() - Number(issuedAt);
+  if (!(age >= 0 && age < SESSION_MAX_AGE_SEC * 1000)) return null;
+  return { issuedAt: Number(issuedAt), nonce };
+}
+
+// Revocation marks carry their own expiry: only KV honours `ttlSec`, memory and file stores keep keys
+const isRevoked = async (store, nonce) => ((await store.get(revokedKey(nonce)))?.expiresAt || 0) > Date.now();
+
+/**
+ * @param {string} adminToken - ADMIN_TOKEN
+ * @param {Object} store - Key/value store (revoked sessions)
+ * @param {Object} request - { authorization, cookie } from the incoming request
+ * @param {Object} [options]
+ * @param {number} [options.notBefore=0] - Reject sessions issued earlier (ms), e.g. the start of a
+ *                                         process whose store doesn't keep revocations
+ * @returns {Promise<boolean>}
+ */
+export async function isDashboardAuthorized(adminToken, store, { authorization, cookie }, { notBefore = 0 } = {}) {
+  if (!adminToken) return false;
+  if (isAuthorized(adminToken, authorization)) return true;
+  const session = await readSession(adminToken, cookie);
+  return !!session && session.issuedAt >= notBefore && !(await isRevoked(store, session.nonce));
+}
+
+/**
+ * Set-Cookie value after a successful sign-in: a new session.
+ */
+export async function sessionCookie(adminToken, secure) {
+  const issuedAt = Date.now();
+  const nonce = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const value = `${issuedAt}.${nonce}.${await signSession(adminToken, issuedAt, nonce)}`;
+  return `${SESSION_COOKIE}=${value}; Path=/; Max-Age=${SESSION_MAX_AGE_SEC}; HttpOnly; SameSite=Strict${secure ? '; Secure' : ''}`;
+}
+
+/**
+ * Sign-out: revoke the request's session, so a copy of the cookie stops working too.
+ * The mark is only kept until the session would have expired anyway; expired marks are
+ * removed here, since memory and file stores don't expire keys.
+ */
+export async function revokeSession(adminToken, store, cookie) {
+  const session = adminToken ? await readSession(adminToken, cookie) : null;
+  if (!session) return;
+  const expiresAt = session.issuedAt + SESSION_MAX_AGE_SEC * 1000;
+  const ttlSec = Math.ceil((expiresAt - Date.now()) / 1000);
+  await store.set(revokedKey(session.nonce), { revokedAt: Date.now(), expiresAt }, { ttlSec });
+
+  for (const key of await store.list(REVOKED_PREFIX)) {
+    if (((await store.get(key))?.expiresAt || 0) <= Date.now()) await store.delete(key);
+  }
+}
+
+export const clearSessionCookie = () => `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`;
+
+/**
+ * Last checkAllWebhooks result of this process / isolate (startup, /check or the dashboard).
+ */
+export class WebhookStatus {
+  constructor() {
+    this.at = null;
+    this.results = [];
+  }
+
+  record(results) {
+    this.at = new Date().toISOString();
+    this.results = results;
+    return results;
+  }
+}
+
+/**
+ * Everything the dashboard shows. Runs a webhook check first when none has run yet.
+ *
+ * @param {Object} config - From loadConfig
+ * @param {Object} runtime
+ * @param {Object} runtime.store - Key/value store (bot pauses)
+ * @param {Object} runtime.stats - ReactionStats
+ * @param {WebhookStatus} runtime.webhooks
+ * @param {string} runtime.baseUrl - Public URL, for the hints checkAllWebhooks logs
+ * @param {boolean} [runtime.polling] - Node polling mode: no webhooks to check
+ */
+export async function dashboardData(config, { store, stats, webhooks, baseUrl, polling = false }) {
+  if (!polling && !webhooks.at) webhooks.record(await checkAllWebhooks(config, 'dashboard', baseUrl));
+
+  const described = describeBots(config);
+  const bots = await Promise.all(
+    webhookTargets(config).map(async ({ botId, bot }) => {
+      const [totals, recentChats] = await Promise.all([stats.totals(botId), stats.recentChats(botId)]);
+      return {
+        botId,
+        username: bot.username || null,
+        paused: await isBotPaused(store, botId),
+        check: webhooks.results.find((r) => r.botId === botId) || null,
+        telegram: bot.api.stats,
+        totals,
+        recentChats,
+        settings: described[botId]?.settings || {},
+      };
+    })
+  );
+
+  return {
+    generatedAt: new Date().toISOString(),
+    mode: config.multiMode ? 'multi-bot' : 'single-bot',
+    updates: polling ? 'polling' : 'webhook',
+    checkedAt: webhooks.at,
+    bots,
+    shared: {
+      apiBaseUrl: redact(config.apiBaseUrl),
+      dryRun: config.dryRun,
+      avoidLastN: config.avoidLastN,
+      reactionCount: config.reactionCount,
+      isBig: config.isBig,
+      filters: config.filters,
+      updateHandling: config.updateHandling,
+      dedup: config.dedup,
+      rules: config.rules.map((rule) => rule.name),
+    },
+    problems: recentProblems(25),
+  };
+}
+
+// ---------- HTML ----------
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const time = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '—');
+
+const badge = (ok, text) => `<span class="badge ${ok ? 'ok' : 'bad'}">${escapeHtml(text)}</span>`;
+
+const button = (action, label, cls = '') =>
+  `<form method="post" action="${action}"><button class="${cls}" type="submit">${escapeHtml(label)}</button></form>`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; background: #f4f6f8; color: #1d2430; }
+  header { background: #1d2430; color: #fff; padding: 14px 24px; display: flex; gap: 12px; align-items: center; flex-wrap: wrap; }
+  header h1 { font-size: 18px; margin: 0 auto 0 0; }
+  main { padding: 24px; max-width: 1100px; margin: 0 auto; }
+  section { background: #fff; border-radius: 8px; padding: 16px 20px; margin-bottom: 20px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  h2 { font-size: 17px; margin: 0 0 12px; display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+  h3 { font-size: 14px; margin: 16px 0 6px; color: #4a5568; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 5px 8px; border-bottom: 1px solid #edf0f3; vertical-align: top; }
+  pre { background: #f4f6f8; padding: 10px; border-radius: 6px; overflow-x: auto; font-size: 12px; }
+  form { display: inline; margin: 0; }
+  button { cursor: pointer; border: 0; border-radius: 6px; padding: 6px 12px; background: #2b6cb0; color: #fff; font-size: 13px; }
+  button.secondary { background: #718096; }
+  button.warn { background: #c05621; }
+  .badge { font-size: 12px; padding: 2px 8px; border-radius: 10px; font-weight: normal; }
+  .ok { background: #c6f6d5; color: #22543d; }
+  .bad { background: #fed7d7; color: #822727; }
+  .warning { background: #fefcbf; color: #744210; }
+  .muted { color: #718096; font-size: 13px; }
+  .login { max-width: 360px; margin: 80px auto; }
+  .login input { width: 100%; box-sizing: border-box; padding: 8px; margin: 8px 0 12px; border: 1px solid #cbd5e0; border-radius: 6px; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+/**
+ * Sign-in form (token = ADMIN_TOKEN).
+ */
+export function renderLogin(failed = false) {
+  return page(
+    'Auto Reaction Bot · Sign in',
+    `<main><section class="login">
+  <h2>🔐 Auto Reaction Bot</h2>
+  <form method="post" action="/dashboard/login">
+    <label for="token">Admin token</label>
+    <input id="token" name="token" type="password" autocomplete="current-password" autofocus required>
+    <button type="submit">Sign in</button>
+  </form>
+  ${failed ? '<p class="bad">Wrong token.</p>' : ''}
+  <p class="muted"><a href="/about">About this bot</a></p>
+</section></main>`
+  );
+}
+
+function renderWebhook(bot, updates) {
+  if (updates === 'polling') return '<p class="muted">Updates are received by long polling; no webhook is used.</p>';
+  if (!bot.check) return '<p class="muted">Not checked yet.</p>';
+
+  const { info = {}, secret } = bot.check;
+  const rows = [
+    ['Expected path', bot.check.expectPath],
+    ['URL', info.ok ? info.url || '(not set)' : `Could not read webhook info: ${info.error}`],
+    ['Pending updates', info.pending ?? '—'],
+    ['Last error', info.lastError || '—'],
+    ['Secret token', secret ? (secret.configured ? (secret.ok ? 'configured' : `missing at Telegram (${secret.rejectedUpdates} rejected)`) : 'not configured') : '—'],
+  ];
+  return `<table>${rows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>`;
+}
+
+function renderActivity(bot) {
+  const totals = bot.totals;
+  if (!totals) return '<p class="muted">No reactions recorded yet.</p>';
+
+  const reasons = Object.entries(totals.skipReasons || {}).map(([reason, n]) => `${reason}: ${n}`).join(', ');
+  const chats = bot.recentChats
+    .map(
+      (chat) =>
+        `<tr><td>${escapeHtml(chat.chatId)}</td><td>${escapeHtml(chat.chatType)}</td><td>${chat.sent}</td>` +
+        `<td>${chat.skipped}</td><td>${chat.failed}</td><td>${escapeHtml(formatTopEmojis(chat.emojis, 3))}</td>` +
+        `<td>${time(chat.updatedAt)}</td></tr>`
+    )
+    .join('');
+  return `<p>✅ Sent <b>${totals.sent}</b> · ⏭ Skipped <b>${totals.skipped}</b> · ❌ Failed <b>${totals.failed}</b>
+  · Top emojis ${escapeHtml(formatTopEmojis(totals.emojis))}</p>
+  ${reasons ? `<p class="muted">Skipped because of ${escapeHtml(reasons)}</p>` : ''}
+  <table><tr><th>Chat</th><th>Type</th><th>Sent</th><th>Skipped</th><th>Failed</th><th>Top emojis</th><th>Last activity</th></tr>${chats}</table>`;
+}
+
+function renderBot(bot, updates) {
+  const name = bot.username ? `@${bot.username}` : 'Bot';
+  const webhookBadge = updates === 'polling' ? '' : bot.check ? badge(bot.check.ok, bot.check.ok ? 'webhook ok' : 'webhook problem') : '';
+  const api = bot.telegram;
+  return `<section>
+  <h2>🤖 ${escapeHtml(name)} <span class="muted">${escapeHtml(bot.botId)}</span>
+    ${webhookBadge} ${badge(!bot.paused, bot.paused ? 'paused' : 'reacting')}
+    ${bot.paused
+      ? button(`/dashboard/bots/${encodeURIComponent(bot.botId)}/resume`, '▶️ Resume')
+      : button(`/dashboard/bots/${encodeURIComponent(bot.botId)}/pause`, '⏸ Pause', 'warn')}
+  </h2>
+  <h3>Webhook</h3>
+  ${renderWebhook(bot, updates)}
+  <h3>Recent activity</h3>
+  ${renderActivity(bot)}
+  <h3>Telegram client</h3>
+  <p class="muted">Requests ${api.requests ?? 0} · retries ${api.retries ?? 0} · rate limited ${api.rateLimited ?? 0} · deferred ${api.deferred ?? 0} · dropped ${api.dropped ?? 0}</p>
+  <details><summary>Effective settings</summary><pre>${escapeHtml(JSON.stringify(bot.settings, null, 2))}</pre></details>
+</section>`;
+}
+
+function renderProblems(problems) {
+  if (problems.length === 0) return '<p class="muted">No warnings or errors since this instance started.</p>';
+  const rows = problems
+    .map(({ time: at, level, msg, ...fields }) => {
+      const context = Object.entries(fields)
+        .map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join(' ');
+      return `<tr><td>${time(at)}</td><td><span class="badge ${level === 'error' ? 'bad' : 'warning'}">${level}</span></td><td>${escapeHtml(msg)}<br><span class="muted">${escapeHtml(context)}</span></td></tr>`;
+    })
+    .join('');
+  return `<table>${rows}</table>`;
+}
+
+/**
+ * @param {Object} data - From dashboardData
+ */
+export function renderDashboard(data) {
+  return page(
+    'Auto Reaction Bot · Dashboard',
+    `<header>
+  <h1>⚡ Auto Reaction Bot</h1>
+  <span>${escapeHtml(data.mode)} · ${escapeHtml(data.updates)}</span>
+  ${data.shared.dryRun ? badge(false, 'dry run') : ''}
+  ${data.updates === 'webhook' ? button('/dashboard/check', '🔄 Re-run webhook check') : ''}
+  ${button('/dashboard/logout', 'Sign out', 'secondary')}
+</header>
+<main>
+  <p class="muted">Generated ${time(data.generatedAt)}${data.checkedAt ? ` · webhooks checked ${time(data.checkedAt)}` : ''} · <a href="/about">Public page</a></p>
+  ${data.bots.map((bot) => renderBot(bot, data.updates)).join('\n') || '<section><p>No bots configured (BOT_TOKEN or BOT_TOKENS).</p></section>'}
+  <section>
+    <h2>⚠️ Recent warnings and errors</h2>
+    ${renderProblems(data.problems)}
+  </section>
+  <section>
+    <h2>⚙️ Shared settings</h2>
+    <pre>${escapeHtml(JSON.stringify(data.shared, null, 2))}</pre>
+  </section>
+</main>`
+  );
+}
@@ -0,0 +1,84 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Drop webhook updates Telegram delivers again (after a slow or failed response),
+ * so a redelivery doesn't react, answer /start or send an invoice twice.
+ *
+ * Each bot keeps a bounded window of recent update_ids in memory, each for `ttlSec`.
+ * With a shared store (Workers KV) ids are also written as `update:<botId>:<updateId>`
+ * with the same TTL, so other isolates see them too. KV is eventually consistent:
+ * two deliveries within a second or two of each other can both get through.
+ *
+ *    UPDATE_DEDUP_TTL_SEC=3600   (0 = off)
+ *    UPDATE_DEDUP_MAX=10000      ids remembered per bot
+ */
+
+const updateKey = (botId, updateId) => `update:${botId}:${updateId}`;
+
+export class UpdateDeduplicator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlSec=3600] - How long an update_id is remembered (0 = off)
+   * @param {number} [options.maxSize=10000] - Max ids kept in memory per bot (oldest are dropped)
+   * @param {Object} [options.store] - Shared store with TTL support (KVStore); memory only when unset
+   */
+  constructor({ ttlSec = 3600, maxSize = 10000, store = null } = {}) {
+    this.ttlMs = ttlSec * 1000;
+    this.maxSize = maxSize;
+    this.store = store;
+    // botId -> Map(updateId -> expiresAt), oldest first
+    this.windows = new Map();
+    // botId -> duplicates dropped (shown on /health)
+    this.duplicates = {};
+  }
+
+  get enabled() {
+    return this.ttlMs > 0;
+  }
+
+  window(botId) {
+    if (!this.windows.has(botId)) this.windows.set(botId, new Map());
+    const ids = this.windows.get(botId);
+    const now = Date.now();
+    // Same TTL for every id, so expired ones are at the front
+    for (const [id, expiresAt] of ids) {
+      if (expiresAt > now) break;
+      ids.delete(id);
+    }
+    return ids;
+  }
+
+  remember(ids, updateId) {
+    ids.set(updateId, Date.now() + this.ttlMs);
+    while (ids.size > this.maxSize) ids.delete(ids.keys().next().value);
+  }
+
+  /**
+   * Check an update and remember its id.
+   *
+   * @param {string} botId
+   * @param {number} updateId
+   * @returns {Promise<boolean>} true when the update was already handled
+   */
+  async isDuplicate(botId, updateId) {
+    if (!this.enabled || updateId === undefined || updateId === null) return false;
+
+    const ids = this.window(botId);
+    let duplicate = ids.has(updateId);
+    if (!duplicate && this.store) {
+      const key = updateKey(botId, updateId);
+      duplicate = !!(await this.store.get(key));
+      if (!duplicate) await this.store.set(key, 1, { ttlSec: Math.ceil(this.ttlMs / 1000) });
+    }
+
+    if (duplicate) {
+      this.duplicates[botId] = (this.duplicates[botId] || 0) + 1;
+      return true;
+    }
+    this.remember(ids, updateId);
+    return false;
+  }
+}
@@ -0,0 +1,143 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { escapeMarkdown, toHex, hmacHex, safeEqual } from './helper.js';
+
+/**
+ * Telegram Stars donations:
+ *    /donate                 -> one invoice, or a button per tier (DONATE_TIERS="5,25,100")
+ *    pre_checkout_query      -> approved only for payloads this bot signed, with a matching amount
+ *    successful_payment      -> recorded in the ledger, then thanked
+ *    /donations, /refund <charge_id>  (owners)
+ *
+ * Invoice payloads are `d1:<stars>:<nonce>:<signature>`, an HMAC over the amount and nonce
+ * keyed with the bot token. Unique per invoice and checkable without storing open invoices.
+ *
+ * Ledger: `donation:<botId>:<telegram_payment_charge_id>`
+ *    -> { chargeId, userId, name, amount, currency, payload, chatId, at, refundedAt? }
+ */
+
+const PAYLOAD_VERSION = 'd1';
+
+const donationKey = (botId, chargeId) => `donation:${botId}:${chargeId}`;
+
+const sign = async (secret, message) => (await hmacHex(secret, message)).slice(0, 32);
+
+/**
+ * @param {number} stars - Amount the invoice is for
+ * @param {string} secret - Signing key (the bot token)
+ * @returns {Promise<string>} Invoice payload (well under Telegram's 128 bytes)
+ */
+export async function createPayload(stars, secret) {
+  const nonce = toHex(crypto.getRandomValues(new Uint8Array(8)));
+  const body = `${PAYLOAD_VERSION}:${stars}:${nonce}`;
+  return `${body}:${await sign(secret, body)}`;
+}
+
+/**
+ * Why a pre-checkout query must be declined, or null when it is ours and consistent.
+ *
+ * @param {Object} query - PreCheckoutQuery
+ * @param {string} secret - Signing key used for createPayload
+ * @param {Array<number>} tiers - Amounts currently offered
+ * @returns {Promise<string|null>}
+ */
+export async function payloadProblem(query, secret, tiers) {
+  const parts = String(query.invoice_payload || '').split(':');
+  if (parts.length !== 4 || parts[0] !== PAYLOAD_VERSION) return 'unknown invoice';
+  const [version, stars, nonce, signature] = parts;
+  if (!safeEqual(signature, await sign(secret, `${version}:${stars}:${nonce}`))) return 'invalid signature';
+  if (query.currency !== 'XTR') return 'wrong currency';
+  if (Number(stars) !== query.total_amount) return 'amount mismatch';
+  if (!tiers.includes(Number(stars))) return 'amount no longer offered';
+  return null;
+}
+
+/**
+ * Inline keyboard for several tiers: each button opens `/start donate_<stars>` in the bot's chat.
+ */
+export function tierKeyboard(tiers, botUsername) {
+  const buttons = tiers.map((stars) => ({ text: `⭐️ ${stars}`, url: `https://t.me/${botUsername}?start=donate_${stars}` }));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+  return rows;
+}
+
+export class DonationLedger {
+  /**
+   * @param {Object} store - Key/value store (see storage.js)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a successful_payment message. Telegram may deliver an update twice,
+   * so an already recorded charge is left alone.
+   *
+   * @returns {Promise<boolean>} true when this is a new payment
+   */
+  async record(botId, message) {
+    const payment = message.successful_payment;
+    const key = donationKey(botId, payment.telegram_payment_charge_id);
+    if (await this.store.get(key)) return false;
+
+    await this.store.set(key, {
+      chargeId: payment.telegram_payment_charge_id,
+      userId: message.from?.id ?? null,
+      name: [message.from?.first_name, message.from?.last_name].filter(Boolean).join(' ') || null,
+      amount: payment.total_amount,
+      currency: payment.currency,
+      payload: payment.invoice_payload,
+      chatId: message.chat.id,
+      at: Date.now(),
+    });
+    return true;
+  }
+
+  async get(botId, chargeId) {
+    return (await this.store.get(donationKey(botId, chargeId))) || null;
+  }
+
+  async markRefunded(botId, chargeId) {
+    const entry = await this.get(botId, chargeId);
+    if (!entry || entry.refundedAt) return entry;
+    const updated = { ...entry, refundedAt: Date.now() };
+    await this.store.set(donationKey(botId, chargeId), updated);
+    return updated;
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} Ledger entries, newest first
+   */
+  async list(botId) {
+    const keys = await this.store.list(donationKey(botId, ''));
+    const entries = await Promise.all(keys.map((key) => this.store.get(key)));
+    return entries.filter(Boolean).sort((a, b) => b.at - a.at);
+  }
+}
+
+/**
+ * Text for /donations: totals and the latest payments with their charge IDs (for /refund).
+ */
+export function formatDonations(entries, limit = 10) {
+  if (entries.length === 0) return '💝 No donations recorded yet.';
+
+  const kept = entries.filter((e) => !e.refundedAt);
+  const total = kept.reduce((sum, e) => sum + e.amount, 0);
+  const refunded = entries.length - kept.length;
+  const lines = entries.slice(0, limit).map((e) => {
+    const date = new Date(e.at).toISOString().slice(0, 10);
+    const who = escapeMarkdown(e.name || 'Unknown') + (e.userId ? ` (${e.userId})` : '');
+    return `${e.refundedAt ? '↩️' : '⭐️'} ${e.amount} · ${date} · ${who}\n\`${e.chargeId}\``;
+  });
+
+  return (
+    '💝 Donations :\n\n' +
+    `Total : ⭐️ ${total} from ${kept.length} payment(s)` +
+    (refunded ? `, ${refunded} refunded` : '') +
+    `\n\nLatest :\n${lines.join('\n')}`
+  );
+}
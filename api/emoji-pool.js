@@ -0,0 +1,162 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { splitEmojis } from './helper.js';
+import { ALLOWED_REACTIONS } from './constants.js';
+import { logger } from './logger.js';
+
+/**
+ * Weighted emoji pools.
+ *
+ *    EMOJI_LIST="👍❤🔥"            -> every emoji weight 1 (old format keeps working)
+ *    EMOJI_LIST="👍:5,🔥:2,🏆:1"    -> 👍 five times as likely as 🏆
+ *    EMOJI_LIST="👍,5368324170671202286:2" -> custom emoji by ID (stored as `custom:<id>`)
+ *
+ * EMOJI_LIST_PRIVATE / EMOJI_LIST_GROUP / EMOJI_LIST_CHANNEL override the pool per chat type.
+ * A pool is an array of { emoji, weight }.
+ */
+
+/**
+ * @param {string} raw - Emoji list, optionally with `:weight` per comma-separated entry
+ * @returns {Array<{emoji: string, weight: number}>}
+ */
+export function parseEmojiPool(raw) {
+  const weights = new Map();
+
+  String(raw || '')
+    .split(',')
+    .forEach((part) => {
+      // Weights are short numbers; 10+ digits is a custom emoji ID
+      const m = /^(.*?)\s*:\s*(\d{1,4}(?:\.\d+)?)\s*$/.exec(part);
+      const weight = m ? Number(m[2]) : 1;
+      if (weight <= 0) return;
+      splitEmojis(m ? m[1] : part).forEach((emoji) => {
+        weights.set(emoji, (weights.get(emoji) || 0) + weight);
+      });
+    });
+
+  return Array.from(weights, ([emoji, weight]) => ({ emoji, weight }));
+}
+
+/**
+ * Telegram only accepts a fixed set of emoji reactions; drop (and report) anything else
+ * so a typo fails once at startup instead of on every setMessageReaction call.
+ * Custom emoji can't be checked offline and are kept.
+ *
+ * @param {Array} pool
+ * @param {string} label - Where the pool came from, for the message
+ * @param {Array<string>} [errors] - Config problems (see config.js); without it the drop is only logged
+ * @returns {{ pool: Array, invalid: Array<string> }}
+ */
+export function validatePool(pool, label, errors = null) {
+  const invalid = pool.filter((e) => !isAllowedReaction(e.emoji)).map((e) => e.emoji);
+  if (invalid.length && errors) {
+    errors.push(`${label}: not allowed as Telegram reactions: ${invalid.join(' ')}`);
+  } else if (invalid.length) {
+    logger.error(`❌ ${label}: not allowed as Telegram reactions, skipped: ${invalid.join(' ')}`);
+  }
+  return { pool: pool.filter((e) => isAllowedReaction(e.emoji)), invalid };
+}
+
+export function isAllowedReaction(emoji) {
+  return emoji.startsWith('custom:') || ALLOWED_REACTIONS.includes(emoji);
+}
+
+/**
+ * Per-chat-type pools from EMOJI_LIST_PRIVATE / EMOJI_LIST_GROUP / EMOJI_LIST_CHANNEL (unset -> empty).
+ */
+export function reactionPoolsFromEnv(env, errors) {
+  return {
+    private: validatePool(parseEmojiPool(env.EMOJI_LIST_PRIVATE), 'EMOJI_LIST_PRIVATE', errors).pool,
+    group: validatePool(parseEmojiPool(env.EMOJI_LIST_GROUP), 'EMOJI_LIST_GROUP', errors).pool,
+    channel: validatePool(parseEmojiPool(env.EMOJI_LIST_CHANNEL), 'EMOJI_LIST_CHANNEL', errors).pool,
+  };
+}
+
+/**
+ * Accept a pool, a plain emoji array (older saved settings) or a raw string.
+ */
+export function toPool(list) {
+  if (typeof list === 'string') return parseEmojiPool(list);
+  return (list || []).map((e) => (typeof e === 'string' ? { emoji: e, weight: 1 } : e));
+}
+
+/**
+ * Pool for a chat type, falling back to the default pool.
+ *
+ * @param {string} chatType - 'private' | 'group' | 'supergroup' | 'channel'
+ * @param {Array} defaultPool - Pool from EMOJI_LIST
+ * @param {Object} [pools] - { private, group, channel } pools (group also covers supergroup)
+ */
+export function poolForChat(chatType, defaultPool, pools = {}) {
+  const key = chatType === 'supergroup' ? 'group' : chatType;
+  const pool = pools[key];
+  return toPool(pool && pool.length ? pool : defaultPool);
+}
+
+/**
+ * Weighted random pick. Emojis in `avoid` are skipped unless that would leave nothing.
+ *
+ * @returns {string|undefined}
+ */
+export function pickFromPool(pool, avoid = []) {
+  const entries = toPool(pool);
+  const allowed = entries.filter((e) => !avoid.includes(e.emoji));
+  const candidates = allowed.length ? allowed : entries;
+
+  const total = candidates.reduce((sum, e) => sum + e.weight, 0);
+  let r = Math.random() * total;
+  for (const e of candidates) {
+    r -= e.weight;
+    if (r < 0) return e.emoji;
+  }
+  return candidates[candidates.length - 1]?.emoji;
+}
+
+/**
+ * Weighted pick of up to `count` different emojis.
+ *
+ * @returns {Array<string>}
+ */
+export function pickManyFromPool(pool, count, avoid = []) {
+  const picked = [];
+  let remaining = toPool(pool);
+  while (picked.length < count && remaining.length) {
+    const emoji = pickFromPool(remaining, avoid);
+    picked.push(emoji);
+    remaining = remaining.filter((e) => e.emoji !== emoji);
+  }
+  return picked;
+}
+
+/**
+ * "👍 ×5 (63%), 🔥 ×2 (25%), 🏆 ×1 (13%)" — plain list when every weight is 1.
+ */
+export function formatPool(pool) {
+  const entries = toPool(pool);
+  if (entries.every((e) => e.weight === 1)) return entries.map((e) => e.emoji).join(', ');
+
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  return entries.map((e) => `${e.emoji} ×${e.weight} (${Math.round((e.weight / total) * 100)}%)`).join(', ');
+}
+
+// ---------- No-repeat: remember the last emojis used per chat ----------
+
+const recentKey = (botId, chatId) => `recent:${botId}:${chatId}`;
+
+export async function getRecentReactions(store, botId, chatId) {
+  if (!store) return [];
+  return (await store.get(recentKey(botId, chatId)))?.emojis || [];
+}
+
+export async function rememberReaction(store, botId, chatId, emoji, keep) {
+  if (!store || keep <= 0) return;
+  const emojis = [...(await getRecentReactions(store, botId, chatId)), ...[].concat(emoji)].slice(-keep);
+  await store.set(recentKey(botId, chatId), { emojis });
+}
+
+export async function forgetRecentReactions(store, botId, chatId) {
+  if (store) await store.delete(recentKey(botId, chatId));
+}
@@ -0,0 +1,66 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { MemoryStore } from './storage.js';
+import { logger } from './logger.js';
+
+/**
+ * JSON file backed store for the Express server (Node only, not bundled into the Worker).
+ * The whole file is loaded once at startup and rewritten atomically (tmp + rename) after
+ * changes. Changes made while a write is running share the next write, so a burst of
+ * updates (e.g. a queue drain) costs a couple of rewrites instead of one per key.
+ */
+export class JsonFileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.writing = Promise.resolve();
+    // Next write, shared by every change made before it starts
+    this.pending = null;
+
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      for (const [key, value] of Object.entries(JSON.parse(raw || '{}'))) {
+        this.data.set(key, value);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error(`❌ Could not read store file ${this.filePath}`, { error: err.message });
+      }
+    }
+  }
+
+  async set(key, value) {
+    await super.set(key, value);
+    await this.flush();
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await this.flush();
+  }
+
+  /**
+   * Serialise writes so concurrent updates never interleave on disk; resolves once the
+   * current data is on disk.
+   */
+  flush() {
+    if (!this.pending) {
+      this.pending = this.writing.then(async () => {
+        this.pending = null;
+        const tmp = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(this.data), null, 2));
+        await fs.promises.rename(tmp, this.filePath);
+      });
+      this.writing = this.pending.catch((err) =>
+        logger.error(`❌ Could not write store file ${this.filePath}`, { error: err.message })
+      );
+    }
+    return this.writing;
+  }
+}
@@ -0,0 +1,91 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { parseChatIds } from './helper.js';
+import { mediaType } from './rules.js';
+
+/**
+ * Trigger filters: which messages get a reaction at all (commands are still answered).
+ *
+ *    ALLOWED_CHATS="-100123,-100456"   -> allowlist mode, react only in these chats
+ *    SKIP_BOTS=true                     -> ignore messages from bots and sent via inline bots
+ *    IGNORE_FORWARDS=true               -> ignore forwarded messages
+ *    REACT_TO=all | media | text        -> message type
+ *    MIN_TEXT_LENGTH=20                 -> text/caption must be at least this long
+ *    THREAD_INCLUDE / THREAD_EXCLUDE    -> forum topic (message_thread_id) lists
+ *
+ * Service messages (joins, pins, title changes...) are always skipped.
+ */
+
+const SERVICE_FIELDS = [
+  'new_chat_members', 'left_chat_member', 'new_chat_title', 'new_chat_photo', 'delete_chat_photo',
+  'group_chat_created', 'supergroup_chat_created', 'channel_chat_created', 'migrate_to_chat_id',
+  'migrate_from_chat_id', 'pinned_message', 'message_auto_delete_timer_changed', 'forum_topic_created',
+  'forum_topic_edited', 'forum_topic_closed', 'forum_topic_reopened', 'video_chat_started',
+  'video_chat_ended', 'video_chat_scheduled', 'video_chat_participants_invited', 'successful_payment',
+  'refunded_payment', 'users_shared', 'chat_shared', 'write_access_allowed', 'boost_added',
+];
+
+export const REACT_TO_TYPES = ['all', 'media', 'text'];
+
+/**
+ * @param {Object} env - process.env or the Worker env
+ * @param {Array<string>} errors - Problems are pushed here (see config.js)
+ * @returns {Object} Filters for skipReason
+ */
+export function filtersFromEnv(env, errors) {
+  const reactTo = String(env.REACT_TO || 'all').toLowerCase();
+  if (!REACT_TO_TYPES.includes(reactTo)) {
+    errors.push(`REACT_TO must be one of ${REACT_TO_TYPES.join(', ')}, got "${env.REACT_TO}".`);
+  }
+
+  const minTextLength = Number(env.MIN_TEXT_LENGTH || 0);
+  if (!Number.isInteger(minTextLength) || minTextLength < 0) {
+    errors.push(`MIN_TEXT_LENGTH must be a whole number (>= 0), got "${env.MIN_TEXT_LENGTH}".`);
+  }
+
+  return {
+    allowedChats: parseChatIds(env.ALLOWED_CHATS, 'ALLOWED_CHATS', errors),
+    skipBots: env.SKIP_BOTS === 'true',
+    ignoreForwards: env.IGNORE_FORWARDS === 'true',
+    reactTo,
+    minTextLength,
+    threadInclude: parseChatIds(env.THREAD_INCLUDE, 'THREAD_INCLUDE', errors),
+    threadExclude: parseChatIds(env.THREAD_EXCLUDE, 'THREAD_EXCLUDE', errors),
+  };
+}
+
+/**
+ * @param {Object} content - Telegram message / channel_post
+ * @param {Object} [filters] - From filtersFromEnv (missing fields mean "no filter")
+ * @returns {string|null} Why the message is skipped, or null to react
+ */
+export function skipReason(content, filters = {}) {
+  const {
+    allowedChats = [],
+    skipBots = false,
+    ignoreForwards = false,
+    reactTo = 'all',
+    minTextLength = 0,
+    threadInclude = [],
+    threadExclude = [],
+  } = filters;
+  const text = content.text || content.caption || '';
+
+  if (SERVICE_FIELDS.some((field) => content[field] !== undefined)) return 'service message';
+  if (allowedChats.length && !allowedChats.includes(content.chat.id)) return 'chat not in ALLOWED_CHATS';
+  if (skipBots && (content.from?.is_bot || content.via_bot)) return 'sent by a bot';
+  if (ignoreForwards && (content.forward_origin || content.forward_date)) return 'forwarded';
+  if (reactTo === 'media' && !mediaType(content)) return 'not media';
+  if (reactTo === 'text' && (!content.text || mediaType(content))) return 'not text';
+  if (minTextLength && text.length < minTextLength) return 'text too short';
+
+  // Only topic messages carry a meaningful message_thread_id (replies elsewhere reuse it)
+  const threadId = content.is_topic_message ? content.message_thread_id : null;
+  if (threadInclude.length && !threadInclude.includes(threadId)) return 'topic not in THREAD_INCLUDE';
+  if (threadExclude.length && threadExclude.includes(threadId)) return 'topic in THREAD_EXCLUDE';
+
+  return null;
+}
@@ -5,9 +5,27 @@ export function getRandomPositiveReaction(reaction) {
 }
 
 // Get Emoji Array from String emoji set
+// Keeps ZWJ sequences (❤‍🔥, 👨‍💻) whole, drops U+FE0F, and returns custom emoji IDs as `custom:<id>`
 export function splitEmojis(emojiString) {
-    const emojiRegex = /(\p{Emoji_Presentation}|\p{Extended_Pictographic}|\p{Emoji_Modifier_Base})/gu;
-    return emojiString.match(emojiRegex) || [];
+    const part = '(?:\\p{Extended_Pictographic}|\\p{Emoji_Presentation})\\uFE0F?\\p{Emoji_Modifier}?';
+    const emojiRegex = new RegExp(`(?:custom:)?\\d{10,}|${part}(?:\\u200D${part})*`, 'gu');
+    return (String(emojiString || '').match(emojiRegex) || []).map((e) =>
+        /^(custom:)?\d+$/.test(e) ? 'custom:' + e.replace('custom:', '') : e.replace(/\uFE0F/g, '')
+    );
+}
+
+// Telegram ReactionType for an entry from splitEmojis
+export function toReactionType(emoji) {
+    return emoji.startsWith('custom:')
+        ? { type: 'custom_emoji', custom_emoji_id: emoji.slice('custom:'.length) }
+        : { type: 'emoji', emoji: emoji };
+}
+
+// Reverse of toReactionType | Returns null for types bots can't send (e.g. paid)
+export function fromReactionType(reaction) {
+    if (reaction.type === 'emoji') return reaction.emoji.replace(/\uFE0F/g, '');
+    if (reaction.type === 'custom_emoji') return 'custom:' + reaction.custom_emoji_id;
+    return null;
 }
 
 // Get Chat IDs from Env | Slipt by `,`
@@ -15,6 +33,65 @@ export function getChatIds(chats) {
     return chats ? chats.split(',').map(Number).filter(Boolean) : [];
 }
 
+// Same as getChatIds for config values (string or list) | Reports anything that isn't an ID in `errors`
+export function parseChatIds(raw, label, errors) {
+    const items = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+    const bad = items.filter((item) => !/^-?\d+$/.test(item));
+    if (bad.length) errors.push(`${label}: not a chat ID: ${bad.join(', ')}.`);
+    return items.filter((item) => /^-?\d+$/.test(item)).map(Number);
+}
+
+// Parse `/command@BotName args` | Returns null for other bots' commands or plain text
+export function parseCommand(text, botUsername) {
+    const match = /^\/([A-Za-z0-9_]+)(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/.exec(text || '');
+    if (!match) return null;
+    if (match[2] && match[2].toLowerCase() !== String(botUsername || '').toLowerCase()) return null;
+    return { command: match[1].toLowerCase(), args: (match[3] || '').trim() };
+}
+
+// Escape user/config text for parse_mode "Markdown" (legacy) messages
+export function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([_*`\[])/g, '\\$1');
+}
+
+// Bytes as lowercase hex
+export function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// HMAC-SHA256 of `message` as hex | Web Crypto, so it works on Node 20+ and Workers alike
+export async function hmacHex(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret || ''),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+// Constant-time string compare (works on Node and Workers)
+export function safeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// Check `Authorization: Bearer <token>` (or `?token=`) against ADMIN_TOKEN | Disabled when no token is set
+export function isAuthorized(adminToken, authorizationHeader, queryToken) {
+    if (!adminToken) return false;
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorizationHeader || '');
+    const given = bearer ? bearer[1].trim() : queryToken;
+    return typeof given === 'string' && safeEqual(given, adminToken);
+}
+
 // Helper function to return HTML with correct headers
 export function returnHTML(content) {
     return new Response(content, {
@@ -0,0 +1,248 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { escapeMarkdown } from './helper.js';
+
+/**
+ * Messages users see, per language. Picked from the chat's /setlanguage override,
+ * then the sender's `language_code`, then English. Missing keys fall back to English.
+ *
+ * Placeholders look like `{name}`; values are Markdown-escaped when interpolated, so a
+ * chat title such as `my_group*` can't break parse_mode "Markdown". Keep placeholders outside
+ * `*bold*` / `_italic_`: legacy Markdown doesn't apply backslash escapes inside an entity.
+ * Admin and owner replies (/settings, /stats, /broadcast, /donations) stay in English.
+ *
+ * Invoice texts are plain text with Telegram limits: title <= 32, description <= 255 characters.
+ */
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  si: 'සිංහල',
+  ta: 'தமிழ்',
+  ru: 'Русский',
+};
+
+export const MESSAGES = {
+  en: {
+    start: `👋 Hello there, {name} !
+
+Welcome to the *Auto Emoji Reaction Bot 🎉*, ready to sprinkle your conversations with a little extra happiness!
+
+💁‍♂️ Here's how I spice up your chats:
+
+*✨ DM Magic*: Message me and receive a surprise emoji in return. Expect the unexpected and enjoy the fun!
+*🏖 Group & Channel*: Add me to your groups or channels, and I'll keep the vibe positive by reacting to messages with engaging emojis.
+
+✍️ To view the emojis I can use, simply type /reactions. To create your own auto reaction bot, head over to: [Auto-Reaction-Bot on GitHub](https://github.com/Malith-Rukshan/Auto-Reaction-Bot).
+
+Let's elevate our conversations with more energy and color! 🚀`,
+    startDonateFooter: `
+
+💖 Keep us running! Support the bot: /donate`,
+    buttonAddChannel: '➕ Add to Channel ➕',
+    buttonAddGroup: '➕ Add to Group ➕',
+    buttonSource: 'Github Source 📥',
+    buttonDonate: '💝 Support Us - Donate 🤝',
+    reactions: '✅ Enabled Reactions : \n\n{reactions}',
+    donateTitle: 'Donate to Auto Reaction Bot ✨',
+    donateDescription:
+      '🙏 Support Auto Reaction Bot ✨ and help us stay online and continue to improve! ✨ Your donations keep our services live and enable us to bring you new features and enhancements. Every star makes a difference! Thank you! 🌟🚀',
+    donateChooseTier: '💝 Choose how many Stars you would like to donate:',
+    donateLabel: 'Donate ⭐️{stars}',
+    donateThanks: 'Thank you for your donation! 💝',
+    donateInvalid: 'This invoice is no longer valid. Please send /donate to get a new one.',
+    welcome: `👋 Thanks for adding me to {title} !
+
+I'll react to new messages here with emojis. Admins can tune me:
+
+⚙️ /settings - Show this chat's settings
+😀 /setreactions 👍🔥🎉 - Choose the emojis (weights work too: 👍:5,🔥:1)
+🎲 /setrandom 0-10 - Higher means fewer reactions
+🌐 /setlanguage en|si|ta|ru - Language of my messages here
+⏸ /pause and ▶️ /resume - Stop or restart reactions
+
+📋 /rules shows the content rules and /reactions the emojis in use.`,
+  },
+
+  si: {
+    start: `👋 ආයුබෝවන්, {name} !
+
+*Auto Emoji Reaction Bot 🎉* වෙත සාදරයෙන් පිළිගනිමු! ඔබේ සංවාදවලට තව ටිකක් සතුට එක් කිරීමට මම සූදානම්.
+
+💁‍♂️ මම ඔබේ chats වලට ජීවය දෙන්නේ මෙහෙමයි:
+
+*✨ DM Magic*: මට පණිවිඩයක් එවන්න, ඒ වෙනුවට පුදුම emoji එකක් ලැබේවි!
+*🏖 Group & Channel*: මාව ඔබේ groups හෝ channels වලට එක් කරන්න. මම පණිවිඩවලට emoji වලින් ප්‍රතිචාර දක්වමින් පරිසරය ප්‍රසන්නව තබාගන්නම්.
+
+✍️ මට භාවිත කළ හැකි emoji බැලීමට /reactions යවන්න. ඔබේම auto reaction bot එකක් සෑදීමට: [Auto-Reaction-Bot on GitHub](https://github.com/Malith-Rukshan/Auto-Reaction-Bot).
+
+අපේ සංවාද තවත් පාටින් හා ශක්තියෙන් පුරවමු! 🚀`,
+    startDonateFooter: `
+
+💖 අපව දිගටම පවත්වාගෙන යාමට උදව් වන්න: /donate`,
+    buttonAddChannel: '➕ Channel එකට එක් කරන්න ➕',
+    buttonAddGroup: '➕ Group එකට එක් කරන්න ➕',
+    buttonSource: 'Github Source 📥',
+    buttonDonate: '💝 අපට සහාය වන්න 🤝',
+    reactions: '✅ සක්‍රිය ප්‍රතිචාර : \n\n{reactions}',
+    donateTitle: 'Auto Reaction Bot ට පරිත්‍යාග ✨',
+    donateDescription:
+      '🙏 Auto Reaction Bot ✨ දිගටම ක්‍රියාත්මකව තබා ගැනීමට සහ වැඩිදියුණු කිරීමට අපට සහාය වන්න! ඔබේ පරිත්‍යාග නව විශේෂාංග ගෙන ඒමට උපකාරී වේ. සෑම star එකක්ම වටිනවා. ස්තූතියි! 🌟🚀',
+    donateChooseTier: '💝 ඔබ පරිත්‍යාග කිරීමට කැමති Stars ගණන තෝරන්න:',
+    donateLabel: 'පරිත්‍යාග ⭐️{stars}',
+    donateThanks: 'ඔබේ පරිත්‍යාගයට බොහොම ස්තූතියි! 💝',
+    donateInvalid: 'මෙම invoice එක තවදුරටත් වලංගු නැත. අලුත් එකක් ලබා ගැනීමට /donate යවන්න.',
+    welcome: `👋 {title} වෙත මාව එක් කළාට ස්තූතියි!
+
+මම මෙහි නව පණිවිඩවලට emoji වලින් ප්‍රතිචාර දක්වන්නම්. Admins ලාට මාව සකස් කළ හැක:
+
+⚙️ /settings - මෙම chat එකේ සැකසුම් පෙන්වන්න
+😀 /setreactions 👍🔥🎉 - emoji තෝරන්න (බර ද යෙදිය හැක: 👍:5,🔥:1)
+🎲 /setrandom 0-10 - අගය වැඩි නම් ප්‍රතිචාර අඩුයි
+🌐 /setlanguage en|si|ta|ru - මෙහි මගේ පණිවිඩවල භාෂාව
+⏸ /pause සහ ▶️ /resume - ප්‍රතිචාර නවත්වන්න හෝ නැවත අරඹන්න
+
+📋 /rules අන්තර්ගත නීති ද /reactions භාවිත වන emoji ද පෙන්වයි.`,
+  },
+
+  ta: {
+    start: `👋 வணக்கம், {name} !
+
+*Auto Emoji Reaction Bot 🎉*-க்கு உங்களை வரவேற்கிறோம்! உங்கள் உரையாடல்களில் கொஞ்சம் கூடுதல் மகிழ்ச்சியைச் சேர்க்க நான் தயார்.
+
+💁‍♂️ நான் உங்கள் chats-ஐ இப்படி உற்சாகப்படுத்துவேன்:
+
+*✨ DM Magic*: எனக்கு ஒரு செய்தி அனுப்புங்கள், பதிலுக்கு ஒரு ஆச்சரிய emoji கிடைக்கும்!
+*🏖 Group & Channel*: என்னை உங்கள் groups அல்லது channels-இல் சேர்த்தால், செய்திகளுக்கு emoji-களால் பதிலளித்து சூழலை நேர்மறையாக வைத்திருப்பேன்.
+
+✍️ நான் பயன்படுத்தும் emoji-களைப் பார்க்க /reactions என அனுப்புங்கள். உங்கள் சொந்த auto reaction bot உருவாக்க: [Auto-Reaction-Bot on GitHub](https://github.com/Malith-Rukshan/Auto-Reaction-Bot).
+
+நம் உரையாடல்களை இன்னும் வண்ணமயமாக்குவோம்! 🚀`,
+    startDonateFooter: `
+
+💖 நாங்கள் தொடர்ந்து இயங்க உதவுங்கள்: /donate`,
+    buttonAddChannel: '➕ Channel-இல் சேர்க்க ➕',
+    buttonAddGroup: '➕ Group-இல் சேர்க்க ➕',
+    buttonSource: 'Github மூலக் குறியீடு 📥',
+    buttonDonate: '💝 எங்களை ஆதரியுங்கள் 🤝',
+    reactions: '✅ இயக்கப்பட்ட எதிர்வினைகள் : \n\n{reactions}',
+    donateTitle: 'Auto Reaction Bot-க்கு நன்கொடை ✨',
+    donateDescription:
+      '🙏 Auto Reaction Bot ✨ தொடர்ந்து இயங்கவும் மேம்படவும் எங்களுக்கு ஆதரவு தாருங்கள்! உங்கள் நன்கொடைகள் புதிய வசதிகளைக் கொண்டு வர உதவுகின்றன. ஒவ்வொரு star-உம் முக்கியம். நன்றி! 🌟🚀',
+    donateChooseTier: '💝 நன்கொடையாக எத்தனை Stars அளிக்க விரும்புகிறீர்கள் என்பதைத் தேர்ந்தெடுங்கள்:',
+    donateLabel: 'நன்கொடை ⭐️{stars}',
+    donateThanks: 'உங்கள் நன்கொடைக்கு மிக்க நன்றி! 💝',
+    donateInvalid: 'இந்த invoice இனி செல்லாது. புதியதைப் பெற /donate அனுப்புங்கள்.',
+    welcome: `👋 {title}-இல் என்னைச் சேர்த்ததற்கு நன்றி!
+
+இங்கே புதிய செய்திகளுக்கு நான் emoji-களால் எதிர்வினையாற்றுவேன். Admins என்னை இப்படி அமைக்கலாம்:
+
+⚙️ /settings - இந்த chat-இன் அமைப்புகளைக் காட்டு
+😀 /setreactions 👍🔥🎉 - emoji-களைத் தேர்ந்தெடு (எடைகளும் வேலை செய்யும்: 👍:5,🔥:1)
+🎲 /setrandom 0-10 - அதிக மதிப்பு என்றால் குறைவான எதிர்வினைகள்
+🌐 /setlanguage en|si|ta|ru - இங்கே என் செய்திகளின் மொழி
+⏸ /pause மற்றும் ▶️ /resume - எதிர்வினைகளை நிறுத்த அல்லது மீண்டும் தொடங்க
+
+📋 /rules உள்ளடக்க விதிகளையும் /reactions பயன்பாட்டில் உள்ள emoji-களையும் காட்டும்.`,
+  },
+
+  ru: {
+    start: `👋 Привет, {name} !
+
+Добро пожаловать в *Auto Emoji Reaction Bot 🎉* — он добавит вашим разговорам немного радости!
+
+💁‍♂️ Вот что я умею:
+
+*✨ Личные сообщения*: напишите мне и получите в ответ неожиданный эмодзи!
+*🏖 Группы и каналы*: добавьте меня в группу или канал, и я буду реагировать на сообщения эмодзи и поддерживать хорошее настроение.
+
+✍️ Чтобы посмотреть, какие эмодзи я использую, отправьте /reactions. Чтобы создать своего бота автореакций, загляните сюда: [Auto-Reaction-Bot на GitHub](https://github.com/Malith-Rukshan/Auto-Reaction-Bot).
+
+Давайте добавим разговорам энергии и красок! 🚀`,
+    startDonateFooter: `
+
+💖 Поддержите работу бота: /donate`,
+    buttonAddChannel: '➕ Добавить в канал ➕',
+    buttonAddGroup: '➕ Добавить в группу ➕',
+    buttonSource: 'Исходный код на GitHub 📥',
+    buttonDonate: '💝 Поддержать проект 🤝',
+    reactions: '✅ Включённые реакции : \n\n{reactions}',
+    donateTitle: 'Поддержать Auto Reaction Bot ✨',
+    donateDescription:
+      '🙏 Поддержите Auto Reaction Bot ✨, чтобы он продолжал работать и становился лучше! Ваши пожертвования помогают добавлять новые функции. Каждая звезда важна. Спасибо! 🌟🚀',
+    donateChooseTier: '💝 Выберите, сколько звёзд вы хотите пожертвовать:',
+    donateLabel: 'Пожертвовать ⭐️{stars}',
+    donateThanks: 'Спасибо за ваше пожертвование! 💝',
+    donateInvalid: 'Этот счёт больше недействителен. Отправьте /donate, чтобы получить новый.',
+    welcome: `👋 Спасибо, что добавили меня в {title} !
+
+Я буду реагировать на новые сообщения здесь эмодзи. Администраторы могут меня настроить:
+
+⚙️ /settings - Настройки этого чата
+😀 /setreactions 👍🔥🎉 - Выбрать эмодзи (можно с весами: 👍:5,🔥:1)
+🎲 /setrandom 0-10 - Чем больше, тем реже реакции
+🌐 /setlanguage en|si|ta|ru - Язык моих сообщений здесь
+⏸ /pause и ▶️ /resume - Остановить или возобновить реакции
+
+📋 /rules показывает правила, а /reactions — используемые эмодзи.`,
+  },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(MESSAGES);
+
+/**
+ * Fill `{placeholders}`. Unknown placeholders are left as they are.
+ *
+ * @param {string} template
+ * @param {Object} [params]
+ * @param {Object} [options]
+ * @param {boolean} [options.markdown=true] - Escape values for parse_mode "Markdown"; false for
+ *                                            plain-text fields (invoice title, button labels...)
+ */
+export function interpolate(template, params = {}, { markdown = true } = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+    if (params[key] === undefined || params[key] === null) return match;
+    return markdown ? escapeMarkdown(params[key]) : String(params[key]);
+  });
+}
+
+/**
+ * @param {string} lang - From chatLanguage
+ * @param {string} key - Catalog key
+ * @param {Object} [params] - Placeholder values
+ * @param {Object} [options] - See interpolate
+ */
+export function t(lang, key, params, options) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES.en[key];
+  return interpolate(template, params, options);
+}
+
+/**
+ * "ru-RU" / "RU" -> "ru"; null when there is no catalog for it.
+ */
+export function normalizeLanguage(code) {
+  const lang = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(lang) ? lang : null;
+}
+
+/**
+ * Language for a reply: the chat's /setlanguage override, then the user's Telegram language, then English.
+ *
+ * @param {Object} [settings] - Chat settings (see chat-settings.js)
+ * @param {Object} [user] - Telegram User (message.from)
+ */
+export function chatLanguage(settings, user) {
+  return normalizeLanguage(settings?.language) || normalizeLanguage(user?.language_code) || 'en';
+}
+
+/**
+ * Operator-provided text (START_MESSAGE / config file `startMessage`): one string for every
+ * language, or `{ en: "...", ru: "..." }`. Returns null when nothing applies.
+ */
+export function pickText(value, lang) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  return value[lang] ?? value.en ?? null;
+}
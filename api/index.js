@@ -3,180 +3,195 @@
  * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
  */
 
+import fs from 'node:fs';
 import express from 'express';
 import dotenv from 'dotenv';
-import TelegramBotAPI from './TelegramBotAPI.js';
 import { htmlContent } from './constants.js';
-import { splitEmojis, getChatIds } from './helper.js';
+import { isAuthorized } from './helper.js';
 import { onUpdate } from './bot-handler.js';
+import { allowedUpdatesFor } from './update-types.js';
+import { MemoryStore } from './storage.js';
+import { JsonFileStore } from './file-store.js';
+import { findBot, verifySecretToken, resolveBot } from './bots.js';
+import { checkAllWebhooks, registerWebhooks, registrationTable, webhookTargets } from './webhook-check.js';
+import { startPolling } from './polling.js';
+import { ReactionQueue, startQueueScheduler } from './reaction-queue.js';
+import { ReactionStats } from './stats.js';
+import { ChatRegistry } from './chat-registry.js';
+import { DonationLedger } from './donations.js';
+import { UpdateDeduplicator } from './dedup.js';
+import { BotMetrics } from './metrics.js';
+import { setBotPaused } from './chat-settings.js';
+import {
+  isDashboardAuthorized,
+  sessionCookie,
+  revokeSession,
+  clearSessionCookie,
+  WebhookStatus,
+  dashboardData,
+  renderDashboard,
+  renderLogin,
+} from './dashboard.js';
+import { logger, updateContext } from './logger.js';
+import { loadConfig, handlerOptions, describeBots } from './config.js';
 
 dotenv.config();
 
+// ---------- Shared config (validated; see config.js) ----------
+let config;
+try {
+  config = loadConfig(process.env, { readFile: (path) => fs.readFileSync(path, 'utf8') });
+} catch (e) {
+  logger.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
 const app = express();
 app.use(express.json());
 
-// ---------- Shared config ----------
-const Reactions = splitEmojis(process.env.EMOJI_LIST);
-const RestrictedChats = getChatIds(process.env.RESTRICTED_CHATS);
-const RandomLevel = parseInt(process.env.RANDOM_LEVEL || '0', 10);
-
-// ---------- Helpers ----------
-const parseList = (raw = '') =>
-  raw
-    .split(',')
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-// Remove BOM/quotes/odd characters that sometimes creep in when tokens are copy–pasted
-const cleanToken = (t = '') =>
-  t
-    .replace(/\uFEFF/g, '')                 // remove BOM
-    .replace(/[“”‘’]/g, '"')                // normalize smart quotes
-    .replace(/^[\s"'`]+|[\s"'`]+$/g, '')    // trim quotes/whitespace around
-    .trim();
-
-const botTokenSingle = process.env.BOT_TOKEN;                   // legacy single-bot
-const tokensRaw     = parseList(process.env.BOT_TOKENS || '');  // multi-bot (comma-separated)
-const usernamesRaw  = parseList(process.env.BOT_USERNAMES || '');// optional, same order as BOT_TOKENS
-
-// Build a map: botId (digits before colon) -> { token, username, api }
-const multiBotMap = new Map();
-tokensRaw.forEach((raw, i) => {
-  const token = cleanToken(raw);
-
-  // Be tolerant: find "<digits>:" anywhere (not only at the very beginning)
-  const m = token.match(/(\d+):/);
-  if (!m) {
-    console.error('❌ Skipping invalid BOT_TOKENS entry:', JSON.stringify(raw));
-    return;
-  }
+const AllowedUpdates = allowedUpdatesFor(config.updateHandling);
 
-  const botId = m[1];
-  const username = usernamesRaw[i] || process.env.BOT_USERNAME || '';
+// Per-chat settings store: STORAGE=memory (default) | file
+const store = config.storage.type === 'file' ? new JsonFileStore(config.storage.file) : new MemoryStore();
+// Reaction counters live in the same store (see /stats)
+const stats = new ReactionStats(store);
+// ...and so does the registry of chats each bot is in (/broadcast)
+const registry = new ChatRegistry(store);
+// ...and the donation ledger (/donations, /refund)
+const ledger = new DonationLedger(store);
 
-  // Avoid accidental duplicates
-  if (multiBotMap.has(botId)) {
-    console.warn(`⚠️ Duplicate botId ${botId} in BOT_TOKENS; keeping the first occurrence.`);
-    return;
-  }
+// ---------- Bots (config carries the buildBotMap fields, shared with api/worker.js) ----------
+const { multiBotMap, multiMode, singleBot, pollingMode, publicUrl } = config;
 
-  multiBotMap.set(botId, {
-    token,
-    username,
-    api: new TelegramBotAPI(token),
-  });
+// Prometheus metrics (GET /metrics), labelled by bot ID
+const metrics = new BotMetrics();
+webhookTargets(config).forEach(({ botId, bot }) => {
+  bot.api.onRequest = (method, durationMs) => metrics.apiRequest(botId, method, durationMs);
+});
+
+// Delayed reactions: file-backed queue so restarts don't drop pending reactions.
+// QUEUE_INLINE (default on Vercel): in memory, sent before the webhook response (see handleUpdate)
+const queue = new ReactionQueue(config.inlineQueue ? new MemoryStore() : new JsonFileStore(config.queueFile), {
+  stats,
+  metrics,
 });
+const resolveApi = (botId) => resolveBot(config, botId)?.api || null;
 
-const multiMode = multiBotMap.size > 0;
+// Redelivered updates are dropped by update_id (in memory, per bot)
+const dedup = new UpdateDeduplicator(config.dedup);
 
-// ---------- Webhook self-check (startup + /check) ----------
+// Last webhook check (startup, /check or the dashboard), shown on the dashboard
+const webhooks = new WebhookStatus();
 
 /**
- * Returns { ok, url, pending, lastError } or { ok:false, error }
+ * Same handler for webhook routes and the polling runner.
  */
-async function getWebhookInfo(token, abortSignal) {
-  try {
-    const r = await fetch(`https://api.telegram.org/bot${token}/getWebhookInfo`, {
-      method: 'GET',
-      signal: abortSignal,
-    });
-    const data = await r.json();
-    if (!data || data.ok !== true) {
-      return { ok: false, error: 'Telegram replied not ok', raw: data };
-    }
-    const info = data.result || {};
-    return {
-      ok: true,
-      url: info.url || '',
-      pending: info.pending_update_count || 0,
-      lastError: info.last_error_message || '',
-    };
-  } catch (e) {
-    return { ok: false, error: String(e) };
+const handleUpdate = async (update, bot) => {
+  if (await dedup.isDuplicate(bot.api.botId, update.update_id)) {
+    logger.child({ botId: bot.api.botId, ...updateContext(update) }).debug('Skipping redelivered update');
+    return;
   }
-}
+  metrics.update(bot.api.botId, update);
+  const { reactions, restrictedChats, randomLevel } = bot.settings;
+  await onUpdate(update, bot.api, reactions, restrictedChats, bot.username, randomLevel, {
+    ...handlerOptions(config, bot),
+    store,
+    stats,
+    queue,
+    registry,
+    ledger,
+  });
+  if (config.inlineQueue) await drainInline(bot.api.botId);
+};
 
 /**
- * Checks each configured bot’s webhook points to /webhook/<id>.
- * Logs clear hints if a mismatch is found.
+ * QUEUE_INLINE: the instance may be frozen once the response is sent, so send the reactions
+ * that fall due within QUEUE_INLINE_MAX_WAIT_MS now (delays are capped at it, see handlerOptions).
+ * Later ones (retries, throttled chats) only go out if this instance handles another request.
  */
-async function checkAllWebhooks(reason = 'startup') {
-  if (!multiMode) {
-    console.log('Webhook check skipped (single-bot mode).');
-    return [];
+async function drainInline(botId) {
+  const result = await queue.drainUntil(resolveApi, Date.now() + config.inlineQueueMaxWaitMs);
+  if (result.left) {
+    logger.warn(`⚠️ ${result.left} reaction(s) not due within QUEUE_INLINE_MAX_WAIT_MS; they may never be sent`, {
+      botId,
+    });
   }
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 8_000);
-
-  const checks = await Promise.allSettled(
-    Array.from(multiBotMap.entries()).map(async ([botId, { token }]) => {
-      const info = await getWebhookInfo(token, controller.signal);
-      const expectPath = `/webhook/${botId}`;
-      const result = {
-        botId,
-        expectPath,
-        ok: false,
-        info,
-      };
-
-      if (!info.ok) {
-        console.warn(`⚠️ [${reason}] bot ${botId}: failed to read webhook info -> ${info.error}`);
-        return result;
-      }
-
-      const got = info.url || '';
-      const endsOk = got.endsWith(expectPath);
-
-      if (!got) {
-        console.warn(`⚠️ [${reason}] bot ${botId}: webhook is EMPTY. You must set it:`);
-        console.warn(`   https://api.telegram.org/bot${botId}:<TOKEN>/setWebhook?url=${process.env.RENDER_EXTERNAL_URL || 'https://auto1-reaction-bot.onrender.com'}${expectPath}&drop_pending_updates=true`);
-      } else if (!endsOk) {
-        console.error(`❌ [${reason}] bot ${botId}: webhook URL mismatch`);
-        console.error(`   Expected path: ${expectPath}`);
-        console.error(`   Got URL      : ${got}`);
-        console.error(`   Hint: set it to the exact path above (note the bot id).`);
-      } else {
-        result.ok = true;
-        console.log(`✅ [${reason}] bot ${botId}: webhook looks good (${got})`);
-      }
-
-      if (info.lastError) {
-        console.warn(`   Last webhook error from Telegram: ${info.lastError}`);
-      }
-      if (info.pending) {
-        console.warn(`   Pending update count: ${info.pending}`);
-      }
-
-      return result;
-    })
-  );
-
-  clearTimeout(timeout);
-  return checks.map((c) => (c.status === 'fulfilled' ? c.value : { ok: false, error: c.reason }));
 }
 
 // Manual trigger
 app.get('/check', async (_req, res) => {
-  const out = await checkAllWebhooks('manual');
+  const out = webhooks.record(metrics.webhookChecks(await checkAllWebhooks(config, 'manual', publicUrl)));
   res.status(200).json({
     mode: multiMode ? 'multi-bot' : 'single-bot',
     results: out,
   });
 });
 
+// Register webhooks for every bot (requires ADMIN_TOKEN)
+// Body (all optional): { url, allowed_updates, drop_pending_updates, use_secret, delete }
+app.post('/admin/set-webhooks', async (req, res) => {
+  if (!isAuthorized(config.adminToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const body = req.body || {};
+  try {
+    const results = await registerWebhooks(config, body.url || publicUrl, {
+      allowedUpdates: body.allowed_updates || AllowedUpdates,
+      dropPendingUpdates: !!body.drop_pending_updates,
+      useSecret: body.use_secret !== false,
+      remove: !!body.delete,
+    });
+    if (!body.delete) webhooks.record(metrics.webhookChecks(results.map((r) => r.check).filter(Boolean)));
+    res.status(200).json({ ok: results.every((r) => r.registered), table: registrationTable(results), results });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// Reaction queue status (job list only with ADMIN_TOKEN)
+app.get('/queue', async (req, res) => {
+  const { jobs, ...counts } = await queue.status();
+  const authorized = isAuthorized(config.adminToken, req.get('Authorization'), req.query.token);
+  res.status(200).json(authorized ? { ...counts, jobs } : counts);
+});
+
+// Send due reactions now (the scheduler does this every second anyway)
+app.post('/queue/drain', async (req, res) => {
+  if (!isAuthorized(config.adminToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  res.status(200).json({ ok: true, ...(await queue.drain(resolveApi)) });
+});
+
+// Reaction counters per bot and chat (requires ADMIN_TOKEN); ?bot=<id> for a single bot
+app.get('/stats', async (req, res) => {
+  if (!isAuthorized(config.adminToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const botIds = webhookTargets(config).map((t) => t.botId);
+  const selected = req.query.bot ? botIds.filter((id) => id === String(req.query.bot)) : botIds;
+  res.status(200).json({ ok: true, bots: await stats.summary(selected) });
+});
+
+const SECRET_HEADER = 'X-Telegram-Bot-Api-Secret-Token';
+
 // ---------- Routes ----------
 // Legacy single-bot route (POST /) keeps old deployments working
-if (botTokenSingle && !multiMode) {
-  const botApi = new TelegramBotAPI(botTokenSingle);
-  const botUsername = process.env.BOT_USERNAME || '';
-
+if (singleBot) {
   app.post('/', async (req, res) => {
+    if (!verifySecretToken(singleBot, req.get(SECRET_HEADER))) {
+      logger.warn('⚠️ Rejected update with missing/wrong secret token', { botId: singleBot.api.botId });
+      return res.status(401).send('Unauthorized');
+    }
+
     try {
-      await onUpdate(req.body, botApi, Reactions, RestrictedChats, botUsername, RandomLevel);
+      await handleUpdate(req.body, singleBot);
       res.status(200).send('Ok');
     } catch (error) {
-      console.error('Error in onUpdate (single):', error.message);
+      logger
+        .child({ botId: singleBot.api.botId, ...updateContext(req.body) })
+        .error('Error in onUpdate', { error: error.message });
       res.status(200).send('Ok');
     }
   });
@@ -186,13 +201,10 @@ if (botTokenSingle && !multiMode) {
 app.post('/webhook/:botId', async (req, res) => {
   if (!multiMode) return res.status(404).send('Multi-bot not configured');
 
-  // Be defensive: only digits
   const raw = String(req.params.botId || '');
-  const cleanedId = raw.replace(/\D/g, '');
-
-  const entry = multiBotMap.get(cleanedId);
+  const { cleanedId, entry } = findBot(multiBotMap, raw);
   if (!entry) {
-    console.warn(
+    logger.warn(
       `⚠️ Unknown botId in webhook: ${raw} (cleaned: ${cleanedId}). Known IDs: [${Array.from(
         multiBotMap.keys()
       ).join(', ')}]`
@@ -200,11 +212,16 @@ app.post('/webhook/:botId', async (req, res) => {
     return res.status(404).send('Unknown bot');
   }
 
+  if (!verifySecretToken(entry, req.get(SECRET_HEADER))) {
+    logger.warn('⚠️ Rejected update with missing/wrong secret token', { botId: cleanedId });
+    return res.status(401).send('Unauthorized');
+  }
+
   try {
-    await onUpdate(req.body, entry.api, Reactions, RestrictedChats, entry.username, RandomLevel);
+    await handleUpdate(req.body, entry);
     res.status(200).send('Ok');
   } catch (error) {
-    console.error(`Error in onUpdate [${cleanedId}]:`, error.message);
+    logger.child({ botId: cleanedId, ...updateContext(req.body) }).error('Error in onUpdate', { error: error.message });
     res.status(200).send('Ok');
   }
 });
@@ -212,8 +229,62 @@ app.post('/webhook/:botId', async (req, res) => {
 // Sometimes it’s handy to hit this URL manually in a browser
 app.get('/webhook/:botId', (_req, res) => res.status(200).send('Ok'));
 
+// ---------- Admin dashboard (ADMIN_TOKEN, see dashboard.js) ----------
+// The public landing page; `/` shows it too when ADMIN_TOKEN isn't set
+app.get('/about', (_req, res) => res.send(htmlContent));
+
+// A memory store loses sign-outs on restart, so sessions from before it aren't trusted
+const sessionsNotBefore = config.storage.type === 'memory' ? Date.now() : 0;
+const dashboardAuthorized = (req) =>
+  isDashboardAuthorized(
+    config.adminToken,
+    store,
+    { authorization: req.get('Authorization'), cookie: req.get('Cookie') },
+    { notBefore: sessionsNotBefore }
+  );
+
+app.get('/', async (req, res) => {
+  if (!config.adminToken) return res.redirect(302, '/about');
+  if (!(await dashboardAuthorized(req))) return res.status(401).send(renderLogin());
+  res.set('Cache-Control', 'no-store');
+  res.send(
+    renderDashboard(await dashboardData(config, { store, stats, webhooks, baseUrl: publicUrl, polling: pollingMode }))
+  );
+});
+
+app.post('/dashboard/login', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!isAuthorized(config.adminToken, null, req.body?.token)) {
+    logger.warn('⚠️ Failed dashboard sign-in', { ip: req.ip });
+    return res.status(401).send(renderLogin(true));
+  }
+  const secure = req.secure || req.get('X-Forwarded-Proto') === 'https';
+  res.set('Set-Cookie', await sessionCookie(config.adminToken, secure));
+  res.redirect(303, '/');
+});
+
+app.post('/dashboard/logout', async (req, res) => {
+  await revokeSession(config.adminToken, store, req.get('Cookie'));
+  res.set('Set-Cookie', clearSessionCookie());
+  res.redirect(303, '/');
+});
+
+app.post('/dashboard/check', async (req, res) => {
+  if (!(await dashboardAuthorized(req))) return res.status(401).send(renderLogin());
+  webhooks.record(metrics.webhookChecks(await checkAllWebhooks(config, 'dashboard', publicUrl)));
+  res.redirect(303, '/');
+});
+
+// Pause / resume reactions of one bot in every chat
+app.post('/dashboard/bots/:botId/:action', async (req, res) => {
+  if (!(await dashboardAuthorized(req))) return res.status(401).send(renderLogin());
+  const { botId, action } = req.params;
+  if (!resolveBot(config, botId) || !['pause', 'resume'].includes(action)) return res.status(404).send('Not found');
+  await setBotPaused(store, botId, action === 'pause');
+  logger.info(`${action === 'pause' ? '⏸ Paused' : '▶️ Resumed'} from the dashboard`, { botId });
+  res.redirect(303, '/');
+});
+
 // Health & debug
-app.get('/', (_req, res) => res.send(htmlContent));
 
 app.get('/health', (_req, res) => {
   res.status(200).json({
@@ -222,33 +293,121 @@ app.get('/health', (_req, res) => {
     uptime: process.uptime(),
     environment: process.env.NODE_ENV || 'development',
     mode: multiMode ? 'multi-bot' : 'single-bot',
+    updates: pollingMode ? 'polling' : 'webhook',
     bots: multiMode ? Array.from(multiBotMap.keys()) : [],
+    // Per-bot Telegram client counters: requests, retries, rateLimited (429s), deferred, dropped
+    telegram: Object.fromEntries(webhookTargets(config).map(({ botId, bot }) => [botId, bot.api.stats])),
+    // Redelivered updates dropped per bot since startup
+    duplicateUpdates: dedup.duplicates,
+  });
+});
+
+// Gauges read at scrape time: pending reactions and Telegram 429s per bot
+metrics.collect(async (m) => {
+  const pending = {};
+  (await queue.jobs()).forEach(({ job }) => {
+    if (job.status === 'pending') pending[job.botId] = (pending[job.botId] || 0) + 1;
+  });
+  m.pendingReactions.reset();
+  webhookTargets(config).forEach(({ botId, bot }) => {
+    m.pendingReactions.set({ bot: botId }, pending[botId] || 0);
+    m.rateLimited.set({ bot: botId }, bot.api.stats.rateLimited);
   });
 });
 
+// Prometheus scrape endpoint; set METRICS_TOKEN to require `Authorization: Bearer <token>`
+app.get('/metrics', async (req, res) => {
+  if (config.metricsToken && !isAuthorized(config.metricsToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).send('Unauthorized');
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(await metrics.render());
+});
+
 // Extra: shows exactly what the server loaded (great for troubleshooting)
-app.get('/debug', (_req, res) => {
+// Effective settings (owners, chats, rules...) only with ADMIN_TOKEN
+app.get('/debug', (req, res) => {
   res.status(200).json({
     mode: multiMode ? 'multi-bot' : 'single-bot',
     knownIds: Array.from(multiBotMap.keys()),
     hasTokensEnv: !!process.env.BOT_TOKENS,
     tokensEnvLength: (process.env.BOT_TOKENS || '').length,
+    ...(isAuthorized(config.adminToken, req.get('Authorization'), req.query.token) && {
+      bots: describeBots(config),
+      defaults: config.defaults,
+      apiBaseUrl: config.apiBaseUrl,
+      dryRun: config.dryRun,
+    }),
   });
 });
 
+// DRY_RUN=true: calls that were recorded instead of sent (requires ADMIN_TOKEN); ?bot=<id> for one bot
+app.get('/debug/dry-run', (req, res) => {
+  if (!isAuthorized(config.adminToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  const targets = webhookTargets(config).filter(({ botId }) => !req.query.bot || botId === req.query.bot);
+  res.status(200).json({
+    ok: true,
+    enabled: config.dryRun,
+    bots: Object.fromEntries(targets.map(({ botId, bot }) => [botId, bot.api.dryRunLog])),
+  });
+});
+
+// Forget the recorded calls (requires ADMIN_TOKEN)
+app.delete('/debug/dry-run', (req, res) => {
+  if (!isAuthorized(config.adminToken, req.get('Authorization'), req.query.token)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  webhookTargets(config).forEach(({ bot }) => {
+    bot.api.dryRunLog.length = 0;
+  });
+  res.status(200).json({ ok: true });
+});
+
 // ---------- Start server ----------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-  console.log(`Server is running on port ${PORT}`);
+const PORT = config.port;
+let poller = null;
+const scheduler = startQueueScheduler(queue, resolveApi);
+// Stats are saved in batches (see stats.js); this also saves the last batch when traffic stops
+const statsTimer = setInterval(() => stats.flushIfDue(), stats.flushIntervalMs).unref();
+
+const server = app.listen(PORT, async () => {
+  logger.info(`Server is running on port ${PORT}`);
+
   if (multiMode) {
-    console.log(`==> Multi-bot active for IDs: ${Array.from(multiBotMap.keys()).join(', ')}`);
-    // do a non-blocking webhook check on startup
-    checkAllWebhooks('startup').catch((e) =>
-      console.warn('Webhook check failed:', String(e))
-    );
-  } else if (botTokenSingle) {
-    console.log('==> Single-bot mode active');
+    logger.info(`==> Multi-bot active for IDs: ${Array.from(multiBotMap.keys()).join(', ')}`);
   } else {
-    console.log('⚠️ No bot token(s) configured');
+    logger.info('==> Single-bot mode active');
+  }
+
+  if (pollingMode) {
+    try {
+      poller = await startPolling(webhookTargets(config), handleUpdate, {
+        store,
+        allowedUpdates: AllowedUpdates,
+      });
+    } catch (e) {
+      logger.error('❌ Could not start polling', { error: e.message });
+    }
+  } else if (multiMode) {
+    // do a non-blocking webhook check on startup
+    checkAllWebhooks(config, 'startup', publicUrl)
+      .then((results) => webhooks.record(metrics.webhookChecks(results)))
+      .catch((e) => logger.warn('Webhook check failed', { error: String(e) }));
   }
 });
+
+// Finish the update in progress, save offsets and let a running queue drain finish before exiting
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down...`);
+  server.close();
+  if (poller) await poller.stop();
+  await scheduler.stop();
+  clearInterval(statsTimer);
+  await stats.flush();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
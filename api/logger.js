@@ -0,0 +1,145 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Shared logger with levels, context and token redaction.
+ *
+ *    LOG_LEVEL=debug | info | warn | error   (default info)
+ *    LOG_FORMAT=text | json                   (default text)
+ *
+ * text: `✅ message [bot=123 chat=-100...]`
+ * json: one object per line: { time, level, msg, botId, chatId, messageId, updateId, updateType, ... }
+ *
+ * Bot tokens are always redacted, in messages as well as fields.
+ * The latest warnings and errors are also kept in memory for the admin dashboard (recentProblems).
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const settings = { level: 'info', format: 'text' };
+
+// `<botId>:<secret>` anywhere, including inside api.telegram.org/bot<token>/ URLs
+const TOKEN_PATTERN = /(\d{5,}):[A-Za-z0-9_-]{30,}/g;
+const SECRET_KEYS = /token|secret|authorization|password/i;
+
+// Last warn / error lines of this process / isolate, oldest first
+const RECENT_LIMIT = 50;
+const recent = [];
+
+// Short names for text output
+const TEXT_KEYS = { botId: 'bot', chatId: 'chat', messageId: 'msg', updateId: 'update', updateType: 'type' };
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - One of LOG_LEVELS
+ * @param {string} [options.format] - One of LOG_FORMATS
+ */
+export function configureLogger({ level, format } = {}) {
+  const lvl = String(level || 'info').toLowerCase();
+  const fmt = String(format || 'text').toLowerCase();
+  settings.level = LOG_LEVELS.includes(lvl) ? lvl : 'info';
+  settings.format = LOG_FORMATS.includes(fmt) ? fmt : 'text';
+  if (settings.level !== lvl) logger.warn(`⚠️ Unknown LOG_LEVEL "${level}", using "info".`);
+  if (settings.format !== fmt) logger.warn(`⚠️ Unknown LOG_FORMAT "${format}", using "text".`);
+}
+
+export function loggerConfigFromEnv(env) {
+  return { level: env.LOG_LEVEL, format: env.LOG_FORMAT };
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {Array<Object>} Latest warnings and errors, newest first: { time, level, msg, ...fields }
+ */
+export function recentProblems(limit = RECENT_LIMIT) {
+  return recent.slice(-limit).reverse();
+}
+
+export function redact(text) {
+  return String(text).replace(TOKEN_PATTERN, '$1:<redacted>');
+}
+
+function redactFields(fields) {
+  const out = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (SECRET_KEYS.test(key)) {
+      out[key] = '<redacted>';
+    } else if (value instanceof Error) {
+      out[key] = redact(value.message);
+    } else if (typeof value === 'string') {
+      out[key] = redact(value);
+    } else {
+      out[key] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Correlation fields for a Telegram update.
+ */
+export function updateContext(update = {}) {
+  const updateType = Object.keys(update).find((k) => k !== 'update_id');
+  const body = update[updateType] || {};
+  return {
+    updateId: update.update_id,
+    updateType,
+    chatId: body.chat?.id ?? body.message?.chat?.id,
+    messageId: body.message_id,
+  };
+}
+
+export class Logger {
+  constructor(context = {}) {
+    this.context = context;
+  }
+
+  /** Logger with extra context on every line */
+  child(context) {
+    return new Logger({ ...this.context, ...context });
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    const problem = level === 'warn' || level === 'error';
+    if (!problem && LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+    const data = redactFields({ ...this.context, ...fields });
+    const text = redact(msg);
+    if (problem) {
+      recent.push({ time: new Date().toISOString(), level, msg: text, ...data });
+      if (recent.length > RECENT_LIMIT) recent.shift();
+      // Kept for the dashboard even when LOG_LEVEL hides them
+      if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+    }
+    const out = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+
+    if (settings.format === 'json') {
+      out(JSON.stringify({ time: new Date().toISOString(), level, msg: text, ...data }));
+      return;
+    }
+    const pairs = Object.entries(data).map(([k, v]) => `${TEXT_KEYS[k] || k}=${typeof v === 'object' ? JSON.stringify(v) : v}`);
+    out(pairs.length ? `${text} [${pairs.join(' ')}]` : text);
+  }
+}
+
+export const logger = new Logger();
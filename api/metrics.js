@@ -0,0 +1,172 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Minimal Prometheus text-format metrics for GET /metrics (api/index.js).
+ * https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * Counters and histograms are updated as things happen; `collect` callbacks fill
+ * gauges (pending reactions, webhook status) right before each scrape.
+ */
+
+const PREFIX = 'reaction_bot_';
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',') + '}';
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = PREFIX + name;
+    this.help = help;
+    // formatted labels -> value
+    this.values = new Map();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.values, ([labels, value]) => `${this.name}${labels} ${value}`)];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super('counter', name, help);
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = formatLabels(labels);
+    this.values.set(key, (this.values.get(key) || 0) + by);
+  }
+
+  /** For counters kept elsewhere (e.g. TelegramBotAPI.stats) */
+  set(labels, value) {
+    this.values.set(formatLabels(labels), value);
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help) {
+    super('gauge', name, help);
+  }
+
+  set(labels, value) {
+    this.values.set(formatLabels(labels), value);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super('histogram', name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+    this.values.forEach(({ labels, counts, sum, count }, key) => {
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Every metric the Express server exposes, labelled by bot ID.
+ */
+export class BotMetrics {
+  constructor() {
+    this.updates = new Counter('updates_total', 'Telegram updates received, by update type.');
+    this.reactions = new Counter('reactions_total', 'Reactions by status (scheduled, sent, failed).');
+    this.apiDuration = new Histogram(
+      'telegram_request_duration_seconds',
+      'Telegram Bot API request latency by method.',
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+    );
+    this.rateLimited = new Counter('telegram_rate_limited_total', 'Telegram 429 Too Many Requests responses.');
+    this.pendingReactions = new Gauge('pending_reactions', 'Delayed reactions waiting in the queue.');
+    this.webhookOk = new Gauge('webhook_ok', 'Last webhook check result (1 = ok).');
+    this.webhookPending = new Gauge('webhook_pending_updates', 'Pending update count from the last webhook check.');
+    this.webhookCheckedAt = new Gauge('webhook_last_check_timestamp_seconds', 'When the webhook was last checked.');
+    this.collectors = [];
+  }
+
+  /** Count an incoming update by its type (message, channel_post, ...) */
+  update(botId, update) {
+    const type = Object.keys(update || {}).find((k) => k !== 'update_id') || 'unknown';
+    this.updates.inc({ bot: botId, type });
+  }
+
+  reaction(botId, status) {
+    this.reactions.inc({ bot: botId, status });
+  }
+
+  /** TelegramBotAPI onRequest hook */
+  apiRequest(botId, method, durationMs) {
+    this.apiDuration.observe({ bot: botId, method }, durationMs / 1000);
+  }
+
+  /** Results from checkAllWebhooks (webhook-check.js) */
+  webhookChecks(results) {
+    const now = Math.floor(Date.now() / 1000);
+    results.forEach((r) => {
+      if (!r.botId) return;
+      this.webhookOk.set({ bot: r.botId }, r.ok ? 1 : 0);
+      this.webhookPending.set({ bot: r.botId }, r.info?.pending || 0);
+      this.webhookCheckedAt.set({ bot: r.botId }, now);
+    });
+    return results;
+  }
+
+  /** Run before every scrape; may be async */
+  collect(fn) {
+    this.collectors.push(fn);
+  }
+
+  async render() {
+    await Promise.all(this.collectors.map((fn) => fn(this)));
+    const metrics = [
+      this.updates,
+      this.reactions,
+      this.apiDuration,
+      this.rateLimited,
+      this.pendingReactions,
+      this.webhookOk,
+      this.webhookPending,
+      this.webhookCheckedAt,
+    ];
+    return metrics.flatMap((m) => m.render()).join('\n') + '\n';
+  }
+}
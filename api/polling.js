@@ -0,0 +1,124 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { logger, updateContext } from './logger.js';
+
+/**
+ * getUpdates long-polling runner for hosts without a public HTTPS URL (local dev, NAT).
+ * Used by api/index.js when UPDATE_MODE=polling.
+ *
+ * - One loop per bot (single BOT_TOKEN or every BOT_TOKENS entry)
+ * - Each bot's next offset is saved in the store as `offset:<botId>`
+ * - Updates are handled one by one and the offset is advanced only after each one finishes,
+ *   so stop() never drops or re-processes an update
+ */
+
+const offsetKey = (botId) => `offset:${botId}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class BotPoller {
+  /**
+   * @param {string} botId
+   * @param {Object} bot - Entry from multiBotMap or singleBot (see bots.js)
+   * @param {Function} handleUpdate - async (update, bot) => void
+   * @param {Object} options - { store, allowedUpdates, timeout }
+   */
+  constructor(botId, bot, handleUpdate, options) {
+    this.botId = botId;
+    this.bot = bot;
+    this.handleUpdate = handleUpdate;
+    this.store = options.store;
+    this.allowedUpdates = options.allowedUpdates;
+    this.timeout = options.timeout;
+    this.offset = 0;
+    this.stopping = false;
+    this.controller = new AbortController();
+    this.loop = null;
+    this.log = logger.child({ botId });
+  }
+
+  async start() {
+    // getUpdates is refused while a webhook is set; keep pending updates so nothing is lost
+    await this.bot.api.deleteWebhook(false);
+    this.offset = (await this.store.get(offsetKey(this.botId)))?.offset || 0;
+    this.log.info(`==> Polling bot ${this.botId} (offset ${this.offset || 'none'})`);
+    this.loop = this.run();
+  }
+
+  async run() {
+    let backoffMs = 1000;
+
+    while (!this.stopping) {
+      let updates;
+      try {
+        updates = await this.bot.api.getUpdates(this.offset, this.timeout, this.allowedUpdates, {
+          signal: this.controller.signal,
+        });
+        backoffMs = 1000;
+      } catch (error) {
+        if (this.stopping) break;
+        this.log.error('getUpdates failed', { error: error.message });
+        await sleep(backoffMs);
+        backoffMs = Math.min(backoffMs * 2, 30000);
+        continue;
+      }
+
+      for (const update of updates) {
+        try {
+          await this.handleUpdate(update, this.bot);
+        } catch (error) {
+          this.log.child(updateContext(update)).error('Error in onUpdate', { error: error.message });
+        }
+        this.offset = update.update_id + 1;
+        await this.store.set(offsetKey(this.botId), { offset: this.offset });
+      }
+    }
+  }
+
+  async stop() {
+    this.stopping = true;
+    this.controller.abort();
+    await this.loop;
+
+    // Confirm everything handled so far with Telegram, in case the offset store is not persistent
+    if (this.offset) {
+      try {
+        await this.bot.api.getUpdates(this.offset, 0, this.allowedUpdates, { limit: 1 });
+      } catch (error) {
+        this.log.warn('Could not confirm offset', { error: error.message });
+      }
+    }
+    this.log.info(`==> Stopped polling bot ${this.botId} (next offset ${this.offset})`);
+  }
+}
+
+/**
+ * Start one poller per configured bot.
+ *
+ * @param {Array<{ botId: string, bot: Object }>} targets - e.g. webhookTargets(bots)
+ * @param {Function} handleUpdate - async (update, bot) => void
+ * @param {Object} options
+ * @param {Object} options.store - Offset store (see storage.js)
+ * @param {Array<string>} [options.allowedUpdates]
+ * @param {number} [options.timeout=25] - Long polling timeout in seconds
+ * @returns {Promise<{ stop: Function }>}
+ */
+export async function startPolling(targets, handleUpdate, { store, allowedUpdates, timeout = 25 }) {
+  const pollers = targets.map(
+    ({ botId, bot }) => new BotPoller(botId, bot, handleUpdate, { store, allowedUpdates, timeout })
+  );
+  // One failed start (e.g. deleteWebhook) stops the pollers that did start, so none keeps running without a handle
+  const started = await Promise.allSettled(pollers.map((p) => p.start()));
+  const failed = started.find((result) => result.status === 'rejected');
+  if (failed) {
+    await Promise.all(pollers.filter((_, i) => started[i].status === 'fulfilled').map((p) => p.stop()));
+    throw failed.reason;
+  }
+
+  return {
+    stop: () => Promise.all(pollers.map((p) => p.stop())),
+  };
+}
@@ -0,0 +1,97 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Token buckets used by TelegramBotAPI to stay under Telegram's flood limits
+ * (roughly 30 requests/s per bot and 20 messages/min per group).
+ */
+
+export class TokenBucket {
+  /**
+   * @param {number} capacity - Burst size
+   * @param {number} refillPerSec - Tokens added per second
+   */
+  constructor(capacity, refillPerSec) {
+    this.capacity = capacity;
+    this.refillPerSec = refillPerSec;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Reserve one token. Tokens may go negative: later callers queue behind earlier ones.
+   * @returns {number} ms to wait before the reserved token is available
+   */
+  reserve() {
+    this.refill();
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens / this.refillPerSec) * 1000);
+  }
+
+  // Give back a reservation that won't be used
+  cancel() {
+    this.tokens += 1;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * One bucket for the bot and one per chat.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.botPerSec - Requests per second for the whole bot
+   * @param {number} options.chatPerMin - Requests per minute for one chat
+   * @param {number} options.chatBurst - Requests a chat may burst before throttling
+   */
+  constructor({ botPerSec, chatPerMin, chatBurst }) {
+    this.bot = new TokenBucket(botPerSec, botPerSec);
+    this.chatPerMin = chatPerMin;
+    this.chatBurst = chatBurst;
+    this.chats = new Map();
+  }
+
+  chatBucket(chatId) {
+    let bucket = this.chats.get(chatId);
+    if (!bucket) {
+      // Forget idle chats so the map doesn't grow forever
+      if (this.chats.size >= 1000) {
+        for (const [id, b] of this.chats) {
+          if (b.isFull()) this.chats.delete(id);
+        }
+      }
+      bucket = new TokenBucket(this.chatBurst, this.chatPerMin / 60);
+      this.chats.set(chatId, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Reserve a slot for a request to `chatId` (or bot-wide only when chatId is undefined).
+   * @param {number} [maxWaitMs=Infinity] - Don't reserve when the slot is further away than this
+   * @returns {{ waitMs: number, reserved: boolean }} ms until the slot; the caller retries
+   *          later (without a reservation) when `reserved` is false
+   */
+  acquire(chatId, maxWaitMs = Infinity) {
+    const buckets = chatId === undefined ? [this.bot] : [this.bot, this.chatBucket(chatId)];
+    const waitMs = Math.max(...buckets.map((b) => b.reserve()));
+    if (waitMs > maxWaitMs) {
+      buckets.forEach((b) => b.cancel());
+      return { waitMs, reserved: false };
+    }
+    return { waitMs, reserved: true };
+  }
+}
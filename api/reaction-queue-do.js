@@ -0,0 +1,190 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { ReactionQueue } from './reaction-queue.js';
+import { DurableObjectStore, KVStore } from './storage.js';
+import { ReactionStats, KV_STATS_SHARDS } from './stats.js';
+import { ChatRegistry, continueBroadcast, reportBroadcast } from './chat-registry.js';
+import { resolveBot } from './bots.js';
+import { loadConfig } from './config.js';
+import { webhookTargets } from './webhook-check.js';
+import { logger } from './logger.js';
+
+const BROADCAST_PREFIX = 'broadcast:';
+// Time one alarm spends on broadcasts before saving the cursor and setting the next alarm
+// (short, so due reactions don't wait long behind a broadcast)
+const BROADCAST_BATCH_MS = 5000;
+
+/**
+ * Durable Object that owns one bot's reaction queue on Cloudflare Workers.
+ * Jobs are kept in Durable Object storage and an alarm fires when the next one is due,
+ * so reactions happen even after the Worker that received the update is gone.
+ *
+ * It also runs the bot's /broadcasts: each alarm sends for up to BROADCAST_BATCH_MS and saves
+ * the cursor, so a broadcast to a big registry isn't cut off with the Worker's waitUntil.
+ *
+ * Binding (wrangler.toml): REACTION_QUEUE -> class ReactionQueueDO
+ */
+export class ReactionQueueDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // Count results in the same KV namespace the Worker reads stats from
+    const kv = env.BOT_STORE ? new KVStore(env.BOT_STORE) : null;
+    this.kv = kv;
+    this.stats = kv ? new ReactionStats(kv, { shards: KV_STATS_SHARDS }) : null;
+    this.storage = new DurableObjectStore(state.storage);
+    this.queue = new ReactionQueue(this.storage, { stats: this.stats });
+    // The Worker's chat registry, for /broadcast
+    this.registry = kv ? new ChatRegistry(kv) : null;
+    this.bots = null;
+  }
+
+  resolveApi(botId) {
+    if (!this.bots) {
+      this.bots = loadConfig(this.env);
+      // Share the Worker's available_reactions cache (worker.js), so invalidations reach it
+      if (this.kv) {
+        webhookTargets(this.bots).forEach(({ bot }) => {
+          bot.api.reactionsStore = this.kv;
+        });
+      }
+    }
+    return resolveBot(this.bots, botId)?.api || null;
+  }
+
+  async broadcasts() {
+    const keys = await this.storage.list(BROADCAST_PREFIX);
+    return Promise.all(keys.map(async (key) => ({ key, broadcast: await this.storage.get(key) })));
+  }
+
+  async scheduleAlarm() {
+    // A running broadcast continues right away unless it waits for a rate-limit slot
+    const broadcasts = (await this.broadcasts()).map(({ broadcast }) => broadcast.retryAt || Date.now());
+    // Unflushed stats too, so counts aren't left in memory when no reaction follows
+    const next = [await this.queue.nextDueAt(), this.stats?.nextFlushAt() ?? null, ...broadcasts].filter(
+      (at) => at !== null
+    );
+    if (next.length) await this.state.storage.setAlarm(Math.min(...next));
+  }
+
+  /**
+   * One batch of every running broadcast; finished ones get their final report and are removed.
+   */
+  async runBroadcasts() {
+    const deadline = Date.now() + BROADCAST_BATCH_MS;
+    for (const { key, broadcast } of await this.broadcasts()) {
+      if (broadcast.retryAt > Date.now()) continue;
+      const botApi = this.resolveApi(broadcast.botId);
+      if (!botApi || !this.registry) {
+        logger.error('Dropping broadcast: bot or BOT_STORE not configured', { botId: broadcast.botId });
+        await this.storage.delete(key);
+        continue;
+      }
+
+      await continueBroadcast(botApi, this.registry, broadcast, { deadline });
+      await reportBroadcast(botApi, broadcast);
+      if (broadcast.done) {
+        logger.info(`📣 Broadcast to ${broadcast.label} finished`, { botId: broadcast.botId, ...broadcast.progress });
+        await this.storage.delete(key);
+      } else {
+        await this.storage.set(key, broadcast);
+      }
+    }
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/enqueue' && request.method === 'POST') {
+      const result = await this.queue.enqueue(await request.json());
+      if (result.queued) await this.scheduleAlarm();
+      return Response.json(result);
+    }
+    if (url.pathname === '/status') {
+      return Response.json(await this.queue.status());
+    }
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      const broadcast = await request.json();
+      await this.storage.set(`${BROADCAST_PREFIX}${broadcast.startedAt}:${broadcast.chatId}`, broadcast);
+      await this.scheduleAlarm();
+      return Response.json({ ok: true });
+    }
+    // DRY_RUN=true: calls this object's bot API recorded instead of sending (merged into /debug/dry-run)
+    if (url.pathname === '/dry-run' && (request.method === 'GET' || request.method === 'DELETE')) {
+      const log = this.resolveApi(url.searchParams.get('bot'))?.dryRunLog || [];
+      if (request.method === 'DELETE') log.length = 0;
+      return Response.json(log);
+    }
+    return new Response('Not found', { status: 404 });
+  }
+
+  async alarm() {
+    await this.queue.drain((botId) => this.resolveApi(botId));
+    await this.runBroadcasts();
+    await this.stats?.flushIfDue();
+    await this.scheduleAlarm();
+  }
+}
+
+/**
+ * Worker-side handle with the same enqueue/status interface as ReactionQueue.
+ * Each bot gets its own Durable Object instance.
+ */
+export class DurableQueueClient {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  stub(botId) {
+    return this.namespace.get(this.namespace.idFromName(String(botId)));
+  }
+
+  async enqueue(job) {
+    const response = await this.stub(job.botId).fetch('https://queue/enqueue', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(job),
+    });
+    return response.json();
+  }
+
+  /**
+   * Hand a broadcast (chat-registry.js startBroadcast state) to the bot's Durable Object.
+   */
+  async broadcast(state) {
+    await this.stub(state.botId).fetch('https://queue/broadcast', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(state),
+    });
+  }
+
+  /**
+   * Calls recorded by each bot's Durable Object in dry-run mode; DELETE clears them.
+   * @param {Array<string>} botIds - Bots to include
+   * @param {string} [method='GET']
+   * @returns {Promise<Object<string, Array<Object>>>} botId -> recorded calls
+   */
+  async dryRunLog(botIds, method = 'GET') {
+    const entries = await Promise.all(
+      botIds.map(async (botId) => {
+        const url = `https://queue/dry-run?bot=${encodeURIComponent(botId)}`;
+        return [botId, await (await this.stub(botId).fetch(url, { method })).json()];
+      })
+    );
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * @param {Array<string>} botIds - Bots to include
+   */
+  async status(botIds) {
+    const entries = await Promise.all(
+      botIds.map(async (botId) => [botId, await (await this.stub(botId).fetch('https://queue/status')).json()])
+    );
+    return Object.fromEntries(entries);
+  }
+}
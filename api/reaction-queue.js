@@ -0,0 +1,244 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { logger } from './logger.js';
+import { RetryLaterError } from './TelegramBotAPI.js';
+
+/**
+ * Persistent delayed-reaction queue.
+ *
+ * Jobs live in a store (see storage.js) instead of a sleeping promise, so they survive
+ * serverless shutdowns and restarts. A scheduler drains due jobs:
+ *    - Node: startQueueScheduler() + a file-backed store (api/index.js)
+ *    - Vercel (QUEUE_INLINE): an in-memory store drained with drainUntil() before the
+ *      webhook response, since frozen instances run no timers and the disk is read-only
+ *    - Workers: a Durable Object alarm (reaction-queue-do.js)
+ *
+ * A drain never waits for Telegram's rate limits: a throttled job is moved to the time
+ * TelegramBotAPI says the chat is free again (RetryLaterError) and the drain moves on.
+ *
+ * Stored as `job:<botId>:<chatId>:<messageId>` -> job, so each message gets at most one job.
+ * Finished jobs are kept for `retentionMs` for de-duplication and the status endpoint.
+ */
+
+const JOB_PREFIX = 'job:';
+const jobKey = (botId, chatId, messageId) => `${JOB_PREFIX}${botId}:${chatId}:${messageId}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class ReactionQueue {
+  /**
+   * @param {Object} store - Key/value store
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3] - Tries before a job is marked failed
+   * @param {number} [options.retryDelayMs=30000] - Delay between tries (multiplied by attempt)
+   * @param {number} [options.retentionMs=3600000] - Keep sent/failed jobs this long
+   * @param {Object} [options.stats] - ReactionStats counting sent/failed jobs (see stats.js)
+   * @param {Object} [options.metrics] - BotMetrics counting scheduled/sent/failed jobs (see metrics.js)
+   * @param {number} [options.concurrency=5] - Jobs sent at the same time during a drain
+   */
+  constructor(
+    store,
+    { maxAttempts = 3, retryDelayMs = 30000, retentionMs = 3600000, stats = null, metrics = null, concurrency = 5 } = {}
+  ) {
+    this.store = store;
+    this.stats = stats;
+    this.metrics = metrics;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.retentionMs = retentionMs;
+    this.draining = null;
+  }
+
+  /**
+   * @param {Object} job - { botId, chatId, chatType, messageId, reaction, isBig, delayMs, replace }
+   *                       `replace` overwrites an existing job for the message (edited posts, reaction updates)
+   * @returns {Promise<{ queued: boolean, reason?: string, dueAt?: number }>}
+   */
+  async enqueue({ botId, chatId, chatType, messageId, reaction, isBig = true, delayMs, replace = false }) {
+    const key = jobKey(botId, chatId, messageId);
+    if (!replace && (await this.store.get(key))) {
+      return { queued: false, reason: 'duplicate' };
+    }
+
+    const now = Date.now();
+    const job = {
+      botId: String(botId),
+      chatId,
+      chatType,
+      messageId,
+      reaction,
+      isBig,
+      dueAt: now + delayMs,
+      status: 'pending',
+      attempts: 0,
+      createdAt: now,
+    };
+    await this.store.set(key, job);
+    this.metrics?.reaction(job.botId, 'scheduled');
+    return { queued: true, dueAt: job.dueAt };
+  }
+
+  async jobs() {
+    const keys = await this.store.list(JOB_PREFIX);
+    const jobs = await Promise.all(keys.map(async (key) => ({ key, job: await this.store.get(key) })));
+    return jobs.filter((j) => j.job);
+  }
+
+  /**
+   * Earliest dueAt of a pending job, or null when nothing is pending.
+   */
+  async nextDueAt() {
+    const pending = (await this.jobs()).filter(({ job }) => job.status === 'pending');
+    return pending.length ? Math.min(...pending.map(({ job }) => job.dueAt)) : null;
+  }
+
+  /**
+   * Send every due job and prune old finished ones. Concurrent calls share one run.
+   *
+   * @param {Function} resolveApi - (botId) => TelegramBotAPI | null
+   * @returns {Promise<{ sent: number, failed: number, retried: number, deferred: number }>}
+   */
+  drain(resolveApi) {
+    if (!this.draining) {
+      this.draining = this.drainOnce(resolveApi).finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  async drainOnce(resolveApi) {
+    const now = Date.now();
+    const result = { sent: 0, failed: 0, retried: 0, deferred: 0 };
+    const due = [];
+
+    for (const { key, job } of await this.jobs()) {
+      if (job.status !== 'pending') {
+        if (now - (job.finishedAt || job.createdAt) > this.retentionMs) {
+          await this.store.delete(key);
+        }
+        continue;
+      }
+      if (job.dueAt <= now) due.push({ key, job });
+    }
+
+    // A few senders share the due jobs, so one slow request doesn't hold up the others
+    const next = () => due.shift();
+    const sender = async () => {
+      for (let item = next(); item; item = next()) {
+        await this.send(item.key, item.job, resolveApi, result);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, due.length) }, sender));
+    return result;
+  }
+
+  /**
+   * Send one due job and store its new state.
+   */
+  async send(key, job, resolveApi, result) {
+    const botApi = resolveApi(job.botId);
+    try {
+      if (!botApi) throw new Error(`Unknown bot ${job.botId}`);
+      // maxWaitMs 0: never sleep on the rate limiter, get the time the chat is free instead
+      await botApi.setMessageReaction(job.chatId, job.messageId, job.reaction, job.isBig ?? true, { maxWaitMs: 0 });
+      job.attempts += 1;
+      job.status = 'sent';
+      job.finishedAt = Date.now();
+      result.sent += 1;
+      await this.stats?.record('sent', job);
+      this.metrics?.reaction(job.botId, 'sent');
+    } catch (err) {
+      if (err instanceof RetryLaterError) {
+        // Throttled, nothing was sent: not before retryAt, without using up an attempt
+        job.dueAt = err.retryAt;
+        job.deferrals = (job.deferrals || 0) + 1;
+        result.deferred += 1;
+        await this.store.set(key, job);
+        return;
+      }
+
+      job.attempts += 1;
+      job.error = err?.message || String(err);
+      if (botApi && job.attempts < this.maxAttempts) {
+        job.dueAt = Date.now() + this.retryDelayMs * job.attempts;
+        result.retried += 1;
+      } else {
+        job.status = 'failed';
+        job.finishedAt = Date.now();
+        result.failed += 1;
+        logger.error('setMessageReaction failed', {
+          botId: job.botId,
+          chatId: job.chatId,
+          messageId: job.messageId,
+          error: job.error,
+        });
+        await this.stats?.record('failed', job);
+        this.metrics?.reaction(job.botId, 'failed');
+      }
+    }
+    await this.store.set(key, job);
+  }
+
+  /**
+   * Drain, then sleep until the next pending job and drain again, until nothing is pending
+   * or the next job is due after `deadline`. Used where the instance may be frozen as soon as
+   * the response is sent (QUEUE_INLINE, see api/index.js).
+   *
+   * @param {Function} resolveApi - (botId) => TelegramBotAPI | null
+   * @param {number} deadline - Epoch ms; jobs due later stay queued
+   * @returns {Promise<{ sent: number, failed: number, retried: number, deferred: number, left: number }>}
+   */
+  async drainUntil(resolveApi, deadline) {
+    const total = { sent: 0, failed: 0, retried: 0, deferred: 0 };
+    for (;;) {
+      const result = await this.drain(resolveApi);
+      Object.keys(total).forEach((k) => (total[k] += result[k]));
+
+      const nextDueAt = await this.nextDueAt();
+      if (nextDueAt === null || nextDueAt > deadline) {
+        const left = (await this.jobs()).filter(({ job }) => job.status === 'pending').length;
+        return { ...total, left };
+      }
+      await sleep(nextDueAt - Date.now());
+    }
+  }
+
+  /**
+   * Counts per status plus the most recent jobs (newest first).
+   */
+  async status(limit = 50) {
+    const jobs = (await this.jobs()).map(({ job }) => job);
+    const counts = { pending: 0, sent: 0, failed: 0 };
+    jobs.forEach((job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return {
+      ...counts,
+      nextDueAt: (await this.nextDueAt()) || null,
+      jobs: jobs.sort((a, b) => b.createdAt - a.createdAt).slice(0, limit),
+    };
+  }
+}
+
+/**
+ * Drain the queue on an interval (Node only).
+ *
+ * @returns {{ stop: Function }}
+ */
+export function startQueueScheduler(queue, resolveApi, intervalMs = 1000) {
+  const timer = setInterval(() => {
+    queue.drain(resolveApi).catch((e) => logger.error('Reaction queue drain failed', { error: e.message }));
+  }, intervalMs);
+
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await queue.draining;
+    },
+  };
+}
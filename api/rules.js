@@ -0,0 +1,152 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { splitEmojis, getRandomPositiveReaction, escapeMarkdown } from './helper.js';
+import { isAllowedReaction } from './emoji-pool.js';
+
+/**
+ * Content rules that choose the reaction before the random EMOJI_LIST pick.
+ * Configured as a JSON array in REACTION_RULES (or a file via REACTION_RULES_FILE on Node):
+ *
+ *    [
+ *      { "name": "Congrats", "keywords": ["congrats", "happy birthday"], "emoji": "🎉" },
+ *      { "name": "Fire",     "regex": "\\b(lit|fire)\\b", "flags": "i", "emoji": "🔥" },
+ *      { "name": "Media",    "media": ["photo", "video"], "emoji": "❤" },
+ *      { "name": "Boss",     "from": [123456789, "someusername"], "chats": [-1001234567890], "emoji": "👍🏆" }
+ *    ]
+ *
+ * Every condition set on a rule must match; list values match any entry.
+ * The first matching rule wins; `emoji` may hold several emojis (one is picked at random).
+ */
+
+export const MEDIA_TYPES = [
+  'photo', 'video', 'animation', 'document', 'audio', 'voice', 'video_note', 'sticker', 'poll', 'location',
+];
+
+/**
+ * @returns {string|null} Media type of a message, or null for plain text / service messages
+ */
+export function mediaType(content) {
+  return MEDIA_TYPES.find((type) => content[type] !== undefined) || null;
+}
+
+/**
+ * Parse and validate the rules JSON. Problems are pushed to `errors` (see config.js).
+ *
+ * @param {string} raw - JSON array
+ * @param {string} label - Where the rules come from, for error messages
+ * @param {Array<string>} errors
+ * @returns {Array<Object>} Compiled rules
+ */
+export function parseRules(raw, label, errors) {
+  if (!raw || !raw.trim()) return [];
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (e) {
+    errors.push(`${label} is not valid JSON (${e.message}).`);
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    errors.push(`${label} must be a JSON array of rules.`);
+    return [];
+  }
+
+  const rules = [];
+  list.forEach((rule, i) => {
+    const name = rule?.name || `Rule ${i + 1}`;
+    const problem = (message) => errors.push(`${label} "${name}": ${message}`);
+    if (!rule || typeof rule !== 'object') return problem('expected an object.');
+
+    const emojis = splitEmojis(String(rule.emoji || ''));
+    const invalid = emojis.filter((e) => !isAllowedReaction(e));
+    if (invalid.length) return problem(`not allowed as Telegram reactions: ${invalid.join(' ')}`);
+    if (emojis.length === 0) return problem('no emoji.');
+
+    let regex = null;
+    if (rule.regex) {
+      try {
+        // g/y would make test() stateful between messages
+        regex = new RegExp(rule.regex, String(rule.flags ?? 'i').replace(/[gy]/g, ''));
+      } catch (e) {
+        return problem(`invalid regex (${e.message}).`);
+      }
+    }
+
+    const toList = (v) => (v === undefined ? [] : Array.isArray(v) ? v : [v]);
+    const unknownMedia = toList(rule.media).filter((m) => !MEDIA_TYPES.includes(String(m)));
+    if (unknownMedia.length) {
+      return problem(`unknown media ${unknownMedia.join(', ')} (allowed: ${MEDIA_TYPES.join(', ')}).`);
+    }
+    const badChats = toList(rule.chats).filter((c) => !/^-?\d+$/.test(String(c)));
+    if (badChats.length) return problem(`not a chat ID: ${badChats.join(', ')}.`);
+
+    rules.push({
+      name,
+      emojis,
+      regex,
+      keywords: toList(rule.keywords).map((k) => String(k).toLowerCase()),
+      media: toList(rule.media).map(String),
+      from: toList(rule.from).map((f) => String(f).replace(/^@/, '').toLowerCase()),
+      chats: toList(rule.chats).map(Number),
+    });
+  });
+  return rules;
+}
+
+/**
+ * Rules that can fire in this chat (no `chats` condition, or the chat is listed).
+ */
+export function rulesForChat(rules, chatId) {
+  return rules.filter((rule) => rule.chats.length === 0 || rule.chats.includes(chatId));
+}
+
+function matches(rule, content) {
+  const text = (content.text || content.caption || '').toLowerCase();
+
+  if (rule.chats.length && !rule.chats.includes(content.chat.id)) return false;
+  if (rule.keywords.length && !rule.keywords.some((k) => text.includes(k))) return false;
+  if (rule.regex && !rule.regex.test(content.text || content.caption || '')) return false;
+  if (rule.media.length && !rule.media.includes(mediaType(content))) return false;
+  if (rule.from.length) {
+    const sender = content.from || content.sender_chat || {};
+    const ids = [String(sender.id), String(sender.username || '').toLowerCase()];
+    if (!rule.from.some((f) => ids.includes(f))) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {Array} rules
+ * @param {Object} content - Telegram message / channel_post
+ * @param {Array<string>|null} [allowed] - The chat's available reactions (null = all)
+ * @returns {string|null} Emoji from the first matching rule, or null to fall back to the random pick
+ */
+export function pickRuleReaction(rules, content, allowed = null) {
+  const rule = (rules || []).find((r) => matches(r, content));
+  if (!rule) return null;
+  const emojis = allowed ? rule.emojis.filter((e) => allowed.includes(e)) : rule.emojis;
+  return emojis.length ? getRandomPositiveReaction(emojis) : null;
+}
+
+/**
+ * Human-readable list for the /rules command.
+ */
+export function describeRules(rules) {
+  return rules
+    .map((rule, i) => {
+      const conditions = [];
+      if (rule.keywords.length) conditions.push(`text has "${rule.keywords.join('" or "')}"`);
+      if (rule.regex) conditions.push(`text matches /${rule.regex.source}/${rule.regex.flags}`);
+      if (rule.media.length) conditions.push(`media is ${rule.media.join(' or ')}`);
+      if (rule.from.length) conditions.push(`sender is ${rule.from.join(' or ')}`);
+      return (
+        `${i + 1}. ${escapeMarkdown(rule.name)} → ${rule.emojis.join(' ')}\n` +
+        `   ${escapeMarkdown(conditions.join(', ') || 'any message')}`
+      );
+    })
+    .join('\n');
+}
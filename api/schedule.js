@@ -0,0 +1,233 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { escapeMarkdown } from './helper.js';
+
+/**
+ * Time-window rules that turn reactions off (quiet hours) or change how often and how fast
+ * the bot reacts. Set per bot as `schedule` in the config file, or for every bot with
+ * SCHEDULE (JSON array) / SCHEDULE_FILE (Node):
+ *
+ *    [
+ *      { "name": "Night",   "timezone": "Asia/Colombo", "time": "22:00-07:00", "react": false },
+ *      { "name": "Launch",  "chats": [-1001234567890], "days": "sat", "time": "18:00-20:00",
+ *        "randomLevel": 0, "delay": { "min": 500, "max": 2000 } },
+ *      { "name": "Office",  "days": "mon-fri", "time": ["09:00-12:00", "13:00-17:00"] },
+ *      { "name": "Closed",  "react": false }
+ *    ]
+ *
+ * `days` and `time` are checked in the rule's timezone (default UTC); a range ending before it
+ * starts runs past midnight, and `days` is the local day of the message. A rule without
+ * `days` / `time` always matches, so a final catch-all turns "react only in these windows"
+ * into a schedule. The first matching rule wins; no match = normal behaviour.
+ *
+ * `randomLevel` and `delay` replace RANDOM_LEVEL (and the chat's /setrandom) and the
+ * reaction delay while the rule is active.
+ */
+
+export const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const RULE_KEYS = ['name', 'chats', 'timezone', 'days', 'time', 'react', 'randomLevel', 'delay'];
+const TIME_RANGE_RE = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Intl formatters are slow to build; one per timezone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * @returns {{day: string, minutes: number}} Weekday ("mon") and minutes since local midnight
+ */
+export function localTime(date, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(date).map((p) => [p.type, p.value]));
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * "mon-fri", "sat,sun", ["mon", "wed"]; ranges may wrap ("fri-mon").
+ * @returns {Array<string>|null} Weekday names in week order, null when invalid
+ */
+function parseDays(value) {
+  const days = new Set();
+  for (const item of toList(value)) {
+    const [start, end = start] = item.split('-').map((d) => WEEKDAYS.indexOf(d.trim().slice(0, 3)));
+    if (start < 0 || end < 0) return null;
+    for (let i = start; ; i = (i + 1) % 7) {
+      days.add(WEEKDAYS[i]);
+      if (i === end) break;
+    }
+  }
+  return days.size ? WEEKDAYS.filter((d) => days.has(d)) : null;
+}
+
+/**
+ * "09:00-17:00", "22:00-07:00", a comma-separated string or a list of them.
+ * @returns {Array<string>|null} Normalized "HH:MM-HH:MM" ranges, null when invalid
+ */
+function parseTimes(value) {
+  const ranges = toList(value).map((range) => TIME_RANGE_RE.exec(range));
+  if (ranges.length === 0 || ranges.includes(null)) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return ranges.map(([, h1, m1, h2, m2]) => `${pad(h1)}:${m1}-${pad(h2)}:${m2}`);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate schedule rules. Problems are pushed to `errors` (see config.js).
+ *
+ * @param {string|Array|null} value - JSON array (env / file) or a parsed list (config file)
+ * @param {string} label - Where the rules come from, for error messages
+ * @param {Array<string>} errors
+ * @returns {Array<Object>} Rules as plain objects (shown on /debug)
+ */
+export function parseSchedule(value, label, errors) {
+  if (value === undefined || value === null || value === '' || value === false) return [];
+
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (e) {
+      errors.push(`${label} is not valid JSON (${e.message}).`);
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) {
+    errors.push(`${label} must be a list of schedule rules.`);
+    return [];
+  }
+
+  const rules = [];
+  list.forEach((rule, i) => {
+    const name = rule?.name || `Schedule ${i + 1}`;
+    const problem = (message) => errors.push(`${label} "${name}": ${message}`);
+    if (!rule || typeof rule !== 'object') return problem('expected an object.');
+
+    const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+    if (unknown.length) return problem(`unknown key(s) ${unknown.join(', ')} (allowed: ${RULE_KEYS.join(', ')}).`);
+
+    const timezone = rule.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) return problem(`unknown timezone "${timezone}".`);
+
+    const days = rule.days === undefined ? [] : parseDays(rule.days);
+    if (!days) return problem(`days must be weekdays like "mon-fri" or "sat,sun", got "${rule.days}".`);
+
+    const time = rule.time === undefined ? [] : parseTimes(rule.time);
+    if (!time) return problem(`time must be ranges like "09:00-17:00", got "${rule.time}".`);
+
+    if (rule.react !== undefined && typeof rule.react !== 'boolean') return problem('react must be true or false.');
+
+    const randomLevel = rule.randomLevel === undefined ? null : Number(rule.randomLevel);
+    if (randomLevel !== null && !(Number.isInteger(randomLevel) && randomLevel >= 0 && randomLevel <= 10)) {
+      return problem(`randomLevel must be a whole number from 0 to 10, got "${rule.randomLevel}".`);
+    }
+
+    const chats = rule.chats === undefined ? [] : [].concat(rule.chats);
+    const badChats = chats.filter((c) => !/^-?\d+$/.test(String(c).trim()));
+    if (badChats.length) return problem(`not a chat ID: ${badChats.join(', ')}.`);
+
+    let delay = null;
+    if (rule.delay !== undefined) {
+      const minMs = Number(rule.delay?.min);
+      const maxMs = Number(rule.delay?.max);
+      if (!(Number.isFinite(minMs) && Number.isFinite(maxMs) && minMs >= 0 && minMs <= maxMs)) {
+        return problem('delay must be { min, max } in milliseconds with min <= max.');
+      }
+      delay = { minMs, maxMs };
+    }
+
+    rules.push({
+      name,
+      chats: chats.map(Number),
+      timezone,
+      days,
+      time,
+      react: rule.react !== false,
+      randomLevel,
+      delay,
+    });
+  });
+  return rules;
+}
+
+function inRange(range, minutes) {
+  const [from, to] = range.split('-').map((t) => {
+    const [h, m] = t.split(':').map(Number);
+    return h * 60 + m;
+  });
+  if (from === to) return true;
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Rules that can apply in this chat (no `chats` condition, or the chat is listed).
+ */
+export function scheduleForChat(schedule, chatId) {
+  return (schedule || []).filter((rule) => rule.chats.length === 0 || rule.chats.includes(chatId));
+}
+
+/**
+ * @param {Array} schedule - Rules from parseSchedule
+ * @param {number} chatId
+ * @param {Date} [now]
+ * @returns {Object|null} The first rule matching the chat, local day and time, or null
+ */
+export function activeScheduleRule(schedule, chatId, now = new Date()) {
+  return (
+    scheduleForChat(schedule, chatId).find((rule) => {
+      const { day, minutes } = localTime(now, rule.timezone);
+      if (rule.days.length && !rule.days.includes(day)) return false;
+      return rule.time.length === 0 || rule.time.some((range) => inRange(range, minutes));
+    }) || null
+  );
+}
+
+function describeEffect(rule) {
+  if (!rule.react) return 'no reactions';
+  const effects = [];
+  if (rule.randomLevel !== null) effects.push(`random level ${rule.randomLevel}`);
+  if (rule.delay) effects.push(`delay ${rule.delay.minMs / 1000}-${rule.delay.maxMs / 1000}s`);
+  return effects.join(', ') || 'normal reactions';
+}
+
+/**
+ * Text for /schedule: the chat's rules in order, with the one in effect right now marked.
+ */
+export function describeSchedule(schedule, chatId, now = new Date()) {
+  const rules = scheduleForChat(schedule, chatId);
+  if (rules.length === 0) return '🗓 No reaction schedule in this chat. The bot reacts at any time.';
+
+  const active = activeScheduleRule(rules, chatId, now);
+  const lines = rules.map((rule, i) => {
+    const when = [rule.days.join(',') || 'every day', rule.time.join(', ') || 'all day', rule.timezone].join(' · ');
+    return (
+      `${rule === active ? '▶️' : `${i + 1}.`} ${escapeMarkdown(rule.name)} → ${describeEffect(rule)}\n` +
+      `   ${escapeMarkdown(when)}`
+    );
+  });
+  const current = active ? `${escapeMarkdown(active.name)} (${describeEffect(active)})` : 'no rule, normal reactions';
+  return `🗓 Reaction Schedule :\n\n${lines.join('\n')}\n\nNow : ${current}`;
+}
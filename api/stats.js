@@ -0,0 +1,281 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Reaction counters kept in a store (see storage.js): memory, JSON file or Workers KV.
+ *
+ *    stats:bot:<botId>[:<shard>]  -> { sent, skipped, failed, chatTypes: { group: {...} }, emojis, skipReasons,
+ *                                      recent: { <chatId>: updatedAt } }
+ *    stats:chat:<botId>:<chatId>  -> { chatType, sent, skipped, failed, emojis, updatedAt }
+ *
+ * record() only counts in memory; flush() adds what was counted to the store, one write per bot
+ * and per active chat, and runs at most every `flushIntervalMs` (flushIfDue after each event,
+ * a timer on Node, the alarm in the queue Durable Object). Reads include what is not flushed yet.
+ * Counts a Worker isolate hasn't flushed when it is evicted are lost, and the read-modify-write
+ * of concurrent flushes (several isolates on KV) can lose the odd batch. Good enough for a
+ * dashboard, not for billing.
+ *
+ * KV allows about one write per second per key. With `shards` > 1 each flush updates one of that
+ * many randomly picked total keys and reads add them up.
+ *
+ * `recent` keeps the last RECENT_CHATS chats each total key saw, so the dashboard can show the
+ * latest chats without listing every per-chat key.
+ */
+
+export const STAT_EVENTS = ['sent', 'skipped', 'failed'];
+
+// Total shards for Workers KV (see worker.js and reaction-queue-do.js)
+export const KV_STATS_SHARDS = 16;
+
+// Chats remembered in each total key's `recent`
+const RECENT_CHATS = 10;
+
+// Default time between flushes
+const FLUSH_INTERVAL_MS = 10000;
+
+// Shard 0 keeps the unsharded key, so existing totals still count
+const botKey = (botId, shard = 0) => (shard ? `stats:bot:${botId}:${shard}` : `stats:bot:${botId}`);
+const chatKey = (botId, chatId) => `stats:chat:${botId}:${chatId}`;
+
+const emptyCounts = () => ({ sent: 0, skipped: 0, failed: 0 });
+
+function addEmojis(target, emojis) {
+  [].concat(emojis || []).forEach((emoji) => {
+    target[emoji] = (target[emoji] || 0) + 1;
+  });
+}
+
+// Add every number in `source` to `target`, recursing into nested counters
+function addCounts(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (typeof value === 'number') target[key] = (target[key] || 0) + value;
+    else if (value && typeof value === 'object') addCounts((target[key] = target[key] || {}), value);
+  });
+  return target;
+}
+
+// The `limit` newest entries of { <chatId>: timestamp }
+function latest(recent, limit = RECENT_CHATS) {
+  return Object.fromEntries(
+    Object.entries(recent)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+  );
+}
+
+// Counts of one bot's unflushed chats, in the stats:bot format
+function botDelta(chats) {
+  const bot = { ...emptyCounts(), chatTypes: {}, emojis: {}, skipReasons: {}, recent: {} };
+  chats.forEach(({ chatId, chatType, counts, emojis, skipReasons, updatedAt }) => {
+    addCounts(bot, counts);
+    addCounts((bot.chatTypes[chatType] = bot.chatTypes[chatType] || emptyCounts()), counts);
+    addCounts(bot.emojis, emojis);
+    addCounts(bot.skipReasons, skipReasons);
+    bot.recent[chatId] = updatedAt;
+  });
+  return bot;
+}
+
+// Add a bot delta to a stored stats:bot value (or null)
+function addBotDelta(stored, { recent, ...counts }) {
+  const bot = addCounts(stored ? { ...stored } : {}, counts);
+  bot.recent = latest({ ...stored?.recent, ...recent });
+  return bot;
+}
+
+// Add an unflushed chat to a stored stats:chat value (or null)
+function addChatDelta(stored, { chatType, counts, emojis, updatedAt }) {
+  const chat = addCounts(stored ? { ...stored } : { chatType, ...emptyCounts(), emojis: {} }, { ...counts, emojis });
+  chat.updatedAt = updatedAt;
+  return chat;
+}
+
+export class ReactionStats {
+  /**
+   * @param {Object} store - Key/value store
+   * @param {Object} [options]
+   * @param {number} [options.shards=1] - Keys the bot totals are spread over (KV_STATS_SHARDS on Workers)
+   * @param {number} [options.flushIntervalMs=10000] - Least time between flushIfDue writes (0 = every event)
+   */
+  constructor(store, { shards = 1, flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.store = store;
+    this.shards = shards;
+    this.flushIntervalMs = flushIntervalMs;
+    // `${botId}:${chatId}` -> { botId, chatId, chatType, counts, emojis, skipReasons, updatedAt }
+    this.pending = new Map();
+    this.lastFlushAt = Date.now();
+    this.flushing = null;
+  }
+
+  /**
+   * Count one reaction event in memory, then flushIfDue. Never throws; stats must not break reactions.
+   *
+   * @param {string} event - 'sent' | 'skipped' | 'failed'
+   * @param {Object} info - { botId, chatId, chatType, reaction?, reason? }
+   */
+  async record(event, { botId, chatId, chatType, reaction, reason }) {
+    const key = `${botId}:${chatId}`;
+    let chat = this.pending.get(key);
+    if (!chat) {
+      chat = { botId, chatId, chatType: chatType || 'unknown', counts: emptyCounts(), emojis: {}, skipReasons: {} };
+      this.pending.set(key, chat);
+    }
+    chat.counts[event] += 1;
+    if (event === 'sent') addEmojis(chat.emojis, reaction);
+    if (event === 'skipped' && reason) chat.skipReasons[reason] = (chat.skipReasons[reason] || 0) + 1;
+    chat.updatedAt = Date.now();
+    await this.flushIfDue();
+  }
+
+  /**
+   * When the next flushIfDue would write (null when nothing is waiting), for the Durable Object alarm.
+   */
+  nextFlushAt() {
+    return this.pending.size ? this.lastFlushAt + this.flushIntervalMs : null;
+  }
+
+  async flushIfDue() {
+    const at = this.nextFlushAt();
+    if (at !== null && at <= Date.now() && !this.flushing) await this.flush();
+  }
+
+  /**
+   * Add everything counted so far to the store. Never throws; a failed batch is logged and dropped.
+   */
+  async flush() {
+    while (this.flushing) await this.flushing;
+    if (!this.pending.size) return;
+    const chats = Array.from(this.pending.values());
+    this.pending = new Map();
+    this.lastFlushAt = Date.now();
+    this.flushing = this.write(chats).finally(() => {
+      this.flushing = null;
+    });
+    await this.flushing;
+  }
+
+  async write(chats) {
+    const byBot = new Map();
+    chats.forEach((chat) => byBot.set(chat.botId, [...(byBot.get(chat.botId) || []), chat]));
+    await Promise.all(
+      Array.from(byBot, async ([botId, botChats]) => {
+        try {
+          const totalsKey = botKey(botId, Math.floor(Math.random() * this.shards));
+          await this.store.set(totalsKey, addBotDelta(await this.store.get(totalsKey), botDelta(botChats)));
+          for (const chat of botChats) {
+            const key = chatKey(botId, chat.chatId);
+            await this.store.set(key, addChatDelta(await this.store.get(key), chat));
+          }
+        } catch (err) {
+          logger.error('Saving reaction stats failed', { botId, error: err?.message || String(err) });
+        }
+      })
+    );
+  }
+
+  // Unflushed chats of one bot
+  pendingChats(botId) {
+    return Array.from(this.pending.values()).filter((chat) => String(chat.botId) === String(botId));
+  }
+
+  async chat(botId, chatId) {
+    const stored = (await this.store.get(chatKey(botId, chatId))) || null;
+    const chat = this.pending.get(`${botId}:${chatId}`);
+    return chat ? addChatDelta(stored, chat) : stored;
+  }
+
+  async shardValues(botId) {
+    const shards = await Promise.all(Array.from({ length: this.shards }, (_, i) => this.store.get(botKey(botId, i))));
+    const found = shards.filter(Boolean);
+    const chats = this.pendingChats(botId);
+    return chats.length ? [...found, addBotDelta(null, botDelta(chats))] : found;
+  }
+
+  /**
+   * A bot's totals, summed over its shards; null before the first event.
+   */
+  async totals(botId) {
+    const found = await this.shardValues(botId);
+    return found.length ? found.map(({ recent, ...counts }) => counts).reduce(addCounts, {}) : null;
+  }
+
+  /**
+   * The bot's most recently active chats with their counters, newest first.
+   * Reads the shards' `recent` lists, not every per-chat key.
+   */
+  async recentChats(botId, limit = RECENT_CHATS) {
+    const recent = {};
+    (await this.shardValues(botId)).forEach((shard) => {
+      Object.entries(shard.recent || {}).forEach(([chatId, at]) => {
+        recent[chatId] = Math.max(recent[chatId] || 0, at);
+      });
+    });
+    const chats = await Promise.all(
+      Object.keys(latest(recent, limit)).map(async (chatId) => ({ chatId, chat: await this.chat(botId, chatId) }))
+    );
+    return chats
+      .filter(({ chat }) => chat)
+      .map(({ chatId, chat }) => ({ chatId, ...chat }))
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  }
+
+  /**
+   * Totals plus per-chat counters for one bot.
+   */
+  async bot(botId) {
+    const totals = await this.totals(botId);
+    const prefix = chatKey(botId, '');
+    const keys = await this.store.list(prefix);
+    const chatIds = new Set([
+      ...keys.map((key) => key.slice(prefix.length)),
+      ...this.pendingChats(botId).map(({ chatId }) => String(chatId)),
+    ]);
+    const chats = {};
+    await Promise.all(
+      Array.from(chatIds, async (chatId) => {
+        chats[chatId] = await this.chat(botId, chatId);
+      })
+    );
+    return { totals, chats };
+  }
+
+  /**
+   * @param {Array<string>} botIds
+   * @returns {Promise<Object>} botId -> { totals, chats }
+   */
+  async summary(botIds) {
+    const out = {};
+    for (const botId of botIds) {
+      out[botId] = await this.bot(botId);
+    }
+    return out;
+  }
+}
+
+/**
+ * "👍 12, 🔥 7, 🎉 3" — most used first.
+ */
+export function formatTopEmojis(emojis, limit = 5) {
+  const top = Object.entries(emojis || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+  return top.length ? top.map(([emoji, n]) => `${emoji} ${n}`).join(', ') : '—';
+}
+
+/**
+ * Text for the /stats command.
+ */
+export function formatChatStats(chat) {
+  if (!chat) return '📊 No reactions recorded in this chat yet.';
+  return (
+    '📊 Reaction Stats :\n\n' +
+    `✅ Sent : ${chat.sent}\n` +
+    `⏭ Skipped : ${chat.skipped}\n` +
+    `❌ Failed : ${chat.failed}\n\n` +
+    `Top emojis : ${formatTopEmojis(chat.emojis)}`
+  );
+}
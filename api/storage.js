@@ -0,0 +1,99 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Pluggable key/value stores shared by the Express server and the Worker.
+ * Every store exposes the same async interface:
+ *    get(key) -> value | null
+ *    set(key, value, { ttlSec }?)   (ttlSec: KV expires the key; other stores keep it)
+ *    delete(key)
+ *    list(prefix) -> [key, ...]
+ * Values are plain JSON-serialisable objects.
+ */
+
+/**
+ * Process-local store. Data is lost on restart.
+ */
+export class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? structuredClone(this.data.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async list(prefix = '') {
+    return Array.from(this.data.keys()).filter((k) => k.startsWith(prefix));
+  }
+}
+
+/**
+ * Cloudflare Workers KV namespace wrapper.
+ * https://developers.cloudflare.com/kv/api/
+ */
+export class KVStore {
+  constructor(namespace) {
+    this.kv = namespace;
+  }
+
+  async get(key) {
+    return this.kv.get(key, 'json');
+  }
+
+  async set(key, value, { ttlSec } = {}) {
+    // KV expirations must be at least 60 seconds
+    await this.kv.put(key, JSON.stringify(value), ttlSec ? { expirationTtl: Math.max(60, ttlSec) } : undefined);
+  }
+
+  async delete(key) {
+    await this.kv.delete(key);
+  }
+
+  async list(prefix = '') {
+    const keys = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix, cursor });
+      keys.push(...page.keys.map((k) => k.name));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys;
+  }
+}
+
+/**
+ * Durable Object storage wrapper (state.storage inside a Durable Object).
+ * https://developers.cloudflare.com/durable-objects/api/storage-api/
+ */
+export class DurableObjectStore {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(key) {
+    return (await this.storage.get(key)) ?? null;
+  }
+
+  async set(key, value) {
+    await this.storage.put(key, value);
+  }
+
+  async delete(key) {
+    await this.storage.delete(key);
+  }
+
+  async list(prefix = '') {
+    return Array.from((await this.storage.list({ prefix })).keys());
+  }
+}
@@ -0,0 +1,50 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { ALLOWED_UPDATES } from './bot-handler.js';
+
+/**
+ * Opt-in handling of extra update types:
+ *    EDITED_CHANNEL_POSTS=keep | rereact   -> leave the reaction on edited posts, or pick a new one
+ *    CHAT_MEMBER_UPDATES=true              -> log joins/removals, welcome message in groups,
+ *                                             forget a chat's state when the bot is removed
+ *                                             (my_chat_member is always subscribed for the chat registry)
+ *    REACTION_UPDATES=off | mirror | add   -> when a user reacts: react with the same emoji,
+ *                                             or add a pick from the chat's pool
+ */
+
+export const EDITED_POST_MODES = ['keep', 'rereact'];
+export const REACTION_UPDATE_MODES = ['off', 'mirror', 'add'];
+
+function oneOf(env, name, modes, errors) {
+  const value = String(env[name] || modes[0]).toLowerCase();
+  if (modes.includes(value)) return value;
+  errors.push(`${name} must be one of ${modes.join(', ')}, got "${env[name]}".`);
+  return modes[0];
+}
+
+/**
+ * @param {Object} env - process.env or the Worker env
+ * @param {Array<string>} errors - Problems are pushed here (see config.js)
+ * @returns {{ editedPosts: string, memberUpdates: boolean, reactionUpdates: string }}
+ */
+export function updateHandlingFromEnv(env, errors) {
+  return {
+    editedPosts: oneOf(env, 'EDITED_CHANNEL_POSTS', EDITED_POST_MODES, errors),
+    memberUpdates: env.CHAT_MEMBER_UPDATES === 'true',
+    reactionUpdates: oneOf(env, 'REACTION_UPDATES', REACTION_UPDATE_MODES, errors),
+  };
+}
+
+/**
+ * `allowed_updates` for setWebhook / getUpdates: the base types plus every enabled extra.
+ * Note: Telegram only sends message_reaction updates to bots that are chat admins.
+ */
+export function allowedUpdatesFor(handling = {}) {
+  const updates = [...ALLOWED_UPDATES];
+  if (handling.editedPosts === 'rereact') updates.push('edited_channel_post');
+  if (handling.reactionUpdates && handling.reactionUpdates !== 'off') updates.push('message_reaction');
+  return updates;
+}
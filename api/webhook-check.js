@@ -0,0 +1,207 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+import { logger } from './logger.js';
+
+// ---------- Webhook self-check (startup + /check) ----------
+
+/**
+ * Returns { ok, url, pending, lastError } or { ok:false, error }
+ */
+export async function getWebhookInfo(botApi) {
+  try {
+    const info = (await botApi.getWebhookInfo()) || {};
+    return {
+      ok: true,
+      url: info.url || '',
+      pending: info.pending_update_count || 0,
+      lastError: info.last_error_message || '',
+      allowedUpdates: info.allowed_updates || [],
+    };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
+  }
+}
+
+/**
+ * Every configured bot with the path Telegram should POST to:
+ * /webhook/<botId> in multi-bot mode, / for the legacy single bot.
+ *
+ * @param {{ multiBotMap: Map, singleBot: (Object|null) }} bots - From buildBotMap (bots.js)
+ * @returns {Array<{ botId: string, bot: Object, expectPath: string }>}
+ */
+export function webhookTargets({ multiBotMap, singleBot }) {
+  if (multiBotMap.size > 0) {
+    return Array.from(multiBotMap.entries()).map(([botId, bot]) => ({
+      botId,
+      bot,
+      expectPath: `/webhook/${botId}`,
+    }));
+  }
+  return singleBot ? [{ botId: singleBot.api.botId, bot: singleBot, expectPath: '/' }] : [];
+}
+
+const pathMatches = (url, expectPath) => {
+  if (expectPath !== '/') return url.endsWith(expectPath);
+  try {
+    return new URL(url).pathname === '/';
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * getWebhookInfo never returns the registered secret_token, so infer a missing one from
+ * requests we rejected (verifySecretToken) or Telegram reporting 401s from our webhook.
+ */
+function checkSecret(bot, info) {
+  const configured = !!bot.secret;
+  const telegram401 = /\b401\b/.test(info.lastError || '');
+  return {
+    configured,
+    rejectedUpdates: bot.rejectedUpdates || 0,
+    lastRejectedAt: bot.lastRejectedAt || null,
+    ok: !configured || (!telegram401 && !bot.rejectedUpdates),
+  };
+}
+
+/**
+ * Checks each configured bot’s webhook points to /webhook/<id>
+ * and was registered with the bot’s secret token.
+ * Logs clear hints if a mismatch is found.
+ *
+ * @param {{ multiBotMap: Map, singleBot: (Object|null) }} bots - From buildBotMap (bots.js)
+ * @param {string} reason - Shown in log lines, e.g. 'startup' | 'manual'
+ * @param {string} baseUrl - Public URL of this deployment, used in the setWebhook hint
+ */
+export async function checkAllWebhooks(bots, reason = 'startup', baseUrl = '') {
+  const targets = webhookTargets(bots);
+  if (targets.length === 0) {
+    logger.info('Webhook check skipped (no bots configured).');
+    return [];
+  }
+
+  const checks = await Promise.allSettled(
+    targets.map(async ({ botId, bot, expectPath }) => {
+      const log = logger.child({ botId });
+      const info = await getWebhookInfo(bot.api);
+      const result = {
+        botId,
+        expectPath,
+        ok: false,
+        info,
+      };
+
+      if (!info.ok) {
+        log.warn(`⚠️ [${reason}] failed to read webhook info -> ${info.error}`);
+        return result;
+      }
+
+      const got = info.url || '';
+      const endsOk = pathMatches(got, expectPath);
+
+      if (!got) {
+        log.warn(
+          `⚠️ [${reason}] webhook is EMPTY. You must set it: ` +
+            `npm run set-webhooks -- --url ${baseUrl || '<PUBLIC_URL>'} (or POST /admin/set-webhooks)`
+        );
+      } else if (!endsOk) {
+        log.error(`❌ [${reason}] webhook URL mismatch. Set it to the exact expected path (note the bot id).`, {
+          expectPath,
+          url: got,
+        });
+      } else {
+        result.ok = true;
+        log.info(`✅ [${reason}] webhook looks good`, { url: got });
+      }
+
+      result.secret = checkSecret(bot, info);
+      if (!result.secret.configured) {
+        log.warn(`⚠️ [${reason}] no webhook secret configured; anyone who knows the URL can post updates (set WEBHOOK_SECRETS).`);
+      } else if (!result.secret.ok) {
+        result.ok = false;
+        log.error(`❌ [${reason}] webhook seems registered WITHOUT its secret token. Re-run setWebhook with secret_token.`, {
+          rejectedUpdates: result.secret.rejectedUpdates,
+        });
+      }
+
+      if (info.lastError) {
+        log.warn(`⚠️ [${reason}] last webhook error from Telegram: ${info.lastError}`);
+      }
+      if (info.pending) {
+        log.warn(`⚠️ [${reason}] pending update count: ${info.pending}`);
+      }
+
+      return result;
+    })
+  );
+
+  return checks.map((c) => (c.status === 'fulfilled' ? c.value : { ok: false, error: c.reason }));
+}
+
+// ---------- Webhook registration (/admin/set-webhooks + scripts/set-webhooks.js) ----------
+
+/**
+ * Call setWebhook for every configured bot, then re-run the check.
+ *
+ * @param {{ multiBotMap: Map, singleBot: (Object|null) }} bots - From buildBotMap (bots.js)
+ * @param {string} baseUrl - Public HTTPS URL of this deployment (no trailing slash needed)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.allowedUpdates] - allowed_updates for every bot
+ * @param {boolean} [options.dropPendingUpdates] - drop_pending_updates
+ * @param {boolean} [options.useSecret=true] - Send each bot's configured webhook secret
+ * @param {boolean} [options.remove] - deleteWebhook instead of setWebhook
+ * @returns {Promise<Array<{ botId, url, registered, error, check }>>}
+ */
+export async function registerWebhooks(bots, baseUrl, options = {}) {
+  const { allowedUpdates, dropPendingUpdates = false, useSecret = true, remove = false } = options;
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  const targets = webhookTargets(bots);
+
+  if (!remove && !/^https:\/\//.test(base)) {
+    throw new Error(`Webhook base URL must start with https:// (got "${base}")`);
+  }
+
+  const results = [];
+  for (const { botId, bot, expectPath } of targets) {
+    const url = remove ? '' : base + expectPath;
+    const result = { botId, url, registered: false, secret: useSecret && !!bot.secret, error: '' };
+    try {
+      if (remove) {
+        await bot.api.deleteWebhook(dropPendingUpdates);
+      } else {
+        await bot.api.setWebhook(url, {
+          secretToken: useSecret ? bot.secret : undefined,
+          allowedUpdates,
+          dropPendingUpdates,
+        });
+      }
+      result.registered = true;
+      // A fresh registration clears any earlier "missing secret" evidence
+      bot.rejectedUpdates = 0;
+    } catch (e) {
+      result.error = e?.message || String(e);
+    }
+    results.push(result);
+  }
+
+  const checks = remove ? [] : await checkAllWebhooks(bots, 'register', base);
+  return results.map((r) => ({ ...r, check: checks.find((c) => c.botId === r.botId) || null }));
+}
+
+/**
+ * Flat rows for console.table / JSON output.
+ */
+export function registrationTable(results) {
+  return results.map((r) => ({
+    bot: r.botId,
+    url: r.url || '(deleted)',
+    registered: r.registered ? 'yes' : 'no',
+    secret: r.secret ? 'yes' : 'no',
+    check: r.check ? (r.check.ok ? 'ok' : 'FAILED') : '-',
+    pending: r.check?.info?.pending ?? '-',
+    error: r.error || r.check?.info?.error || r.check?.info?.lastError || '',
+  }));
+}
@@ -3,68 +3,365 @@
  * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
  */
 
-import TelegramBotAPI from "./TelegramBotAPI.js";
 import { htmlContent } from './constants.js';
-import { splitEmojis, returnHTML, getChatIds } from "./helper.js";
+import { returnHTML, isAuthorized } from "./helper.js";
 import { onUpdate } from './bot-handler.js';
+import { allowedUpdatesFor } from './update-types.js';
+import { MemoryStore, KVStore } from './storage.js';
+import { findBot, verifySecretToken } from './bots.js';
+import { checkAllWebhooks, registerWebhooks, registrationTable, webhookTargets } from './webhook-check.js';
+import { DurableQueueClient } from './reaction-queue-do.js';
+import { ReactionStats, KV_STATS_SHARDS } from './stats.js';
+import { ChatRegistry } from './chat-registry.js';
+import { DonationLedger } from './donations.js';
+import { UpdateDeduplicator } from './dedup.js';
+import { setBotPaused } from './chat-settings.js';
+import {
+    isDashboardAuthorized,
+    sessionCookie,
+    revokeSession,
+    clearSessionCookie,
+    WebhookStatus,
+    dashboardData,
+    renderDashboard,
+    renderLogin
+} from './dashboard.js';
+import { logger, updateContext } from './logger.js';
+import { loadConfig, handlerOptions, describeBots, ConfigError } from './config.js';
+
+// Durable Object class must be exported from the Worker's main module
+export { ReactionQueueDO } from './reaction-queue-do.js';
 
 // Cache for parsed environment variables to avoid repeated parsing
 let configCache = null;
 
+// Workers have no startup hook; run the webhook self-check once per isolate instead
+let startupCheckDone = false;
+
 function getConfig(env) {
-    // Parse environment variables once and cache them
+    // Parse and validate environment variables once and cache them (throws ConfigError)
     if (!configCache || configCache.env !== env) {
+        // Per-chat settings and stats: KV binding `BOT_STORE`, falls back to per-isolate memory
+        const store = env.BOT_STORE ? new KVStore(env.BOT_STORE) : new MemoryStore();
+        const config = loadConfig(env);
+        // available_reactions cached in KV: reactions rejected in the queue Durable Object invalidate it here too
+        if (env.BOT_STORE) {
+            webhookTargets(config).forEach(({ bot }) => { bot.api.reactionsStore = store; });
+        }
         configCache = {
             env: env,
-            botToken: env.BOT_TOKEN,
-            botUsername: env.BOT_USERNAME,
-            reactions: splitEmojis(env.EMOJI_LIST),
-            restrictedChats: getChatIds(env.RESTRICTED_CHATS),
-            randomLevel: parseInt(env.RANDOM_LEVEL || '0', 10),
-            botApi: new TelegramBotAPI(env.BOT_TOKEN)
+            ...config,
+            // Redelivered updates: per-isolate window, shared through KV when bound
+            dedup: new UpdateDeduplicator({ ...config.dedup, store: env.BOT_STORE ? store : null }),
+            store: store,
+            // Bot totals are sharded on KV (about one write per second per key)
+            stats: new ReactionStats(store, { shards: env.BOT_STORE ? KV_STATS_SHARDS : 1 }),
+            registry: new ChatRegistry(store),
+            ledger: new DonationLedger(store),
+            // Last webhook check of this isolate, shown on the dashboard
+            webhooks: new WebhookStatus(),
+            // Delayed reactions: Durable Object binding `REACTION_QUEUE`, falls back to ctx.waitUntil
+            queue: env.REACTION_QUEUE ? new DurableQueueClient(env.REACTION_QUEUE) : null
         };
     }
     return configCache;
 }
 
+function htmlResponse(html, status = 200, headers = {}) {
+    return new Response(html, {
+        status: status,
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', ...headers }
+    });
+}
+
+// 303 back to the dashboard after a form POST
+function redirectResponse(location, headers = {}) {
+    return new Response(null, { status: 303, headers: { Location: location, ...headers } });
+}
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+async function handleUpdate(request, ctx, config, bot) {
+    if (!verifySecretToken(bot, request.headers.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        logger.warn('⚠️ Rejected update with missing/wrong secret token', { botId: bot.api.botId });
+        return new Response('Unauthorized', { status: 401 });
+    }
+
+    // Empty or malformed body: answer 400 like express.json() does instead of throwing a 500
+    const data = await request.json().catch(() => null);
+    if (!data || typeof data !== 'object') {
+        logger.warn('⚠️ Rejected update with invalid JSON body', { botId: bot.api.botId });
+        return new Response('Bad Request', { status: 400 });
+    }
+    if (await config.dedup.isDuplicate(bot.api.botId, data.update_id)) {
+        logger.child({ botId: bot.api.botId, ...updateContext(data) }).debug('Skipping redelivered update');
+        return new Response('Ok', { status: 200 });
+    }
+    try {
+        await onUpdate(
+            data,
+            bot.api,
+            bot.settings.reactions,
+            bot.settings.restrictedChats,
+            bot.username,
+            bot.settings.randomLevel,
+            {
+                ...handlerOptions(config, bot),
+                store: config.store,
+                stats: config.stats,
+                queue: config.queue,
+                registry: config.registry,
+                ledger: config.ledger,
+                waitUntil: ctx?.waitUntil ? (promise) => ctx.waitUntil(promise) : null
+            }
+        )
+    } catch (error) {
+        logger.child({ botId: bot.api.botId, ...updateContext(data) }).error('Error in onUpdate', { error: error.message });
+    }
+
+    // Return HTTP 200.OK to Telegram
+    return new Response('Ok', { status: 200 })
+}
+
 export default {
-    async fetch(request, env) {
+    async fetch(request, env, ctx) {
         // Parse environment variables once at startup
-        const config = getConfig(env);
+        let config;
+        try {
+            config = getConfig(env);
+        } catch (e) {
+            if (!(e instanceof ConfigError)) throw e;
+            logger.error(`❌ ${e.message}`);
+            return jsonResponse({ ok: false, error: 'Invalid configuration', errors: e.errors }, 500);
+        }
         const url = new URL(request.url);
+        const mode = config.multiMode ? 'multi-bot' : 'single-bot';
+
+        if (config.multiMode && !startupCheckDone) {
+            startupCheckDone = true;
+            const check = checkAllWebhooks(config, 'startup', url.origin)
+                .then((results) => config.webhooks.record(results))
+                .catch((e) => logger.warn('Webhook check failed', { error: String(e) }));
+            ctx?.waitUntil?.(check);
+        }
 
         // Health check endpoint
         if (url.pathname === '/health' && request.method === 'GET') {
-            return new Response(JSON.stringify({
+            return jsonResponse({
                 status: 'ok',
                 timestamp: new Date().toISOString(),
                 environment: env.NODE_ENV || 'production',
-                botConfigured: !!config.botToken && !!config.botUsername
-            }), {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
+                mode: mode,
+                bots: config.multiMode ? Array.from(config.multiBotMap.keys()) : [],
+                botConfigured: config.multiMode || (!!config.singleBot && !!config.singleBot.username),
+                // Per-bot Telegram client counters (this isolate): requests, retries, rateLimited, deferred, dropped
+                telegram: Object.fromEntries(webhookTargets(config).map(({ botId, bot }) => [botId, bot.api.stats])),
+                // Redelivered updates dropped per bot (this isolate)
+                duplicateUpdates: config.dedup.duplicates
             });
         }
 
-        if (request.method === 'POST') {
-            const data = await request.json()
+        // Webhook self-check, same output as api/index.js
+        if (url.pathname === '/check' && request.method === 'GET') {
+            const results = config.webhooks.record(await checkAllWebhooks(config, 'manual', url.origin));
+            return jsonResponse({ mode: mode, results: results });
+        }
+
+        // Admin dashboard (ADMIN_TOKEN, see dashboard.js); the public landing page lives at /about
+        if (url.pathname === '/about' && request.method === 'GET') {
+            return new returnHTML(htmlContent);
+        }
+
+        const dashboardAuthorized = () => isDashboardAuthorized(config.adminToken, config.store, {
+            authorization: request.headers.get('Authorization'),
+            cookie: request.headers.get('Cookie')
+        });
+
+        if (url.pathname === '/' && request.method === 'GET') {
+            if (!config.adminToken) {
+                return Response.redirect(new URL('/about', url.origin).toString(), 302);
+            }
+            if (!(await dashboardAuthorized())) {
+                return htmlResponse(renderLogin(), 401);
+            }
+            const data = await dashboardData(config, {
+                store: config.store,
+                stats: config.stats,
+                webhooks: config.webhooks,
+                baseUrl: url.origin
+            });
+            return htmlResponse(renderDashboard(data));
+        }
+
+        if (url.pathname === '/dashboard/login' && request.method === 'POST') {
+            const form = await request.formData().catch(() => null);
+            if (!isAuthorized(config.adminToken, null, form?.get('token'))) {
+                logger.warn('⚠️ Failed dashboard sign-in', { ip: request.headers.get('CF-Connecting-IP') });
+                return htmlResponse(renderLogin(true), 401);
+            }
+            const cookie = await sessionCookie(config.adminToken, url.protocol === 'https:');
+            return redirectResponse('/', { 'Set-Cookie': cookie });
+        }
+
+        if (url.pathname === '/dashboard/logout' && request.method === 'POST') {
+            await revokeSession(config.adminToken, config.store, request.headers.get('Cookie'));
+            return redirectResponse('/', { 'Set-Cookie': clearSessionCookie() });
+        }
+
+        if (url.pathname === '/dashboard/check' && request.method === 'POST') {
+            if (!(await dashboardAuthorized())) {
+                return htmlResponse(renderLogin(), 401);
+            }
+            config.webhooks.record(await checkAllWebhooks(config, 'dashboard', url.origin));
+            return redirectResponse('/');
+        }
+
+        // Pause / resume reactions of one bot in every chat
+        const botActionMatch = url.pathname.match(/^\/dashboard\/bots\/([^/]+)\/(pause|resume)$/);
+        if (botActionMatch && request.method === 'POST') {
+            if (!(await dashboardAuthorized())) {
+                return htmlResponse(renderLogin(), 401);
+            }
+            const [, botId, action] = botActionMatch;
+            if (!webhookTargets(config).some((t) => t.botId === botId)) {
+                return new Response('Not found', { status: 404 });
+            }
+            await setBotPaused(config.store, botId, action === 'pause');
+            logger.info(`${action === 'pause' ? '⏸ Paused' : '▶️ Resumed'} from the dashboard`, { botId: botId });
+            return redirectResponse('/');
+        }
+
+        // Register webhooks for every bot (requires ADMIN_TOKEN)
+        // Body (all optional): { url, allowed_updates, drop_pending_updates, use_secret, delete }
+        if (url.pathname === '/admin/set-webhooks' && request.method === 'POST') {
+            if (!isAuthorized(config.adminToken, request.headers.get('Authorization'), url.searchParams.get('token'))) {
+                return jsonResponse({ ok: false, error: 'Unauthorized' }, 401);
+            }
+
+            const body = await request.json().catch(() => ({}));
             try {
-                await onUpdate(
-                    data,
-                    config.botApi,
-                    config.reactions,
-                    config.restrictedChats,
-                    config.botUsername,
-                    config.randomLevel
-                )
-            } catch (error) {
-                console.error('Error in onUpdate:', error.message)
-            }
-        } else {
-            return new returnHTML(htmlContent)
-        }
-
-        // Return HTTP 200.OK to Telegram
-        return new Response('Ok', { status: 200 })
+                const results = await registerWebhooks(config, body.url || url.origin, {
+                    allowedUpdates: body.allowed_updates || allowedUpdatesFor(config.updateHandling),
+                    dropPendingUpdates: !!body.drop_pending_updates,
+                    useSecret: body.use_secret !== false,
+                    remove: !!body.delete
+                });
+                if (!body.delete) {
+                    config.webhooks.record(results.map((r) => r.check).filter(Boolean));
+                }
+                return jsonResponse({ ok: results.every((r) => r.registered), table: registrationTable(results), results: results });
+            } catch (e) {
+                return jsonResponse({ ok: false, error: e.message }, 400);
+            }
+        }
+
+        // Reaction queue status per bot (job list only with ADMIN_TOKEN)
+        if (url.pathname === '/queue' && request.method === 'GET') {
+            if (!config.queue) {
+                return jsonResponse({ enabled: false });
+            }
+            const botIds = config.multiMode
+                ? Array.from(config.multiBotMap.keys())
+                : config.singleBot ? [config.singleBot.api.botId] : [];
+            const status = await config.queue.status(botIds);
+            if (!isAuthorized(config.adminToken, request.headers.get('Authorization'), url.searchParams.get('token'))) {
+                Object.values(status).forEach((s) => delete s.jobs);
+            }
+            return jsonResponse({ enabled: true, bots: status });
+        }
+
+        // Reaction counters per bot and chat (requires ADMIN_TOKEN); ?bot=<id> for a single bot
+        if (url.pathname === '/stats' && request.method === 'GET') {
+            if (!isAuthorized(config.adminToken, request.headers.get('Authorization'), url.searchParams.get('token'))) {
+                return jsonResponse({ ok: false, error: 'Unauthorized' }, 401);
+            }
+            const botIds = webhookTargets(config).map((t) => t.botId);
+            const bot = url.searchParams.get('bot');
+            const selected = bot ? botIds.filter((id) => id === bot) : botIds;
+            return jsonResponse({ ok: true, bots: await config.stats.summary(selected) });
+        }
+
+        // Shows exactly what the worker loaded (great for troubleshooting)
+        // Effective settings (owners, chats, rules...) only with ADMIN_TOKEN
+        if (url.pathname === '/debug' && request.method === 'GET') {
+            const authorized = isAuthorized(config.adminToken, request.headers.get('Authorization'), url.searchParams.get('token'));
+            return jsonResponse({
+                mode: mode,
+                knownIds: Array.from(config.multiBotMap.keys()),
+                hasTokensEnv: !!env.BOT_TOKENS,
+                tokensEnvLength: (env.BOT_TOKENS || '').length,
+                ...(authorized && {
+                    bots: describeBots(config),
+                    defaults: config.defaults,
+                    apiBaseUrl: config.apiBaseUrl,
+                    dryRun: config.dryRun
+                })
+            });
+        }
+
+        // DRY_RUN=true: calls recorded instead of sent by this isolate and, with REACTION_QUEUE,
+        // by the bots' Durable Objects (requires ADMIN_TOKEN); ?bot=<id> for one bot, DELETE to forget them
+        if (url.pathname === '/debug/dry-run' && (request.method === 'GET' || request.method === 'DELETE')) {
+            if (!isAuthorized(config.adminToken, request.headers.get('Authorization'), url.searchParams.get('token'))) {
+                return jsonResponse({ ok: false, error: 'Unauthorized' }, 401);
+            }
+            const bot = url.searchParams.get('bot');
+            const targets = webhookTargets(config).filter((t) => !bot || t.botId === bot);
+            const queued = config.queue && config.dryRun
+                ? await config.queue.dryRunLog(targets.map((t) => t.botId), request.method)
+                : {};
+            if (request.method === 'DELETE') {
+                targets.forEach((t) => { t.bot.api.dryRunLog.length = 0; });
+                return jsonResponse({ ok: true });
+            }
+            const merged = (t) => [...t.bot.api.dryRunLog, ...(queued[t.botId] || [])]
+                .sort((a, b) => a.at.localeCompare(b.at));
+            return jsonResponse({
+                ok: true,
+                enabled: config.dryRun,
+                bots: Object.fromEntries(targets.map((t) => [t.botId, merged(t)]))
+            });
+        }
+
+        // Multi-bot route: Telegram should POST to /webhook/<botId>
+        const webhookMatch = url.pathname.match(/^\/webhook\/([^/]+)\/?$/);
+        if (webhookMatch) {
+            // Sometimes it’s handy to hit this URL manually in a browser
+            if (request.method !== 'POST') {
+                return new Response('Ok', { status: 200 });
+            }
+            if (!config.multiMode) {
+                return new Response('Multi-bot not configured', { status: 404 });
+            }
+
+            // Not URI-decoded: findBot keeps only the digits, and a malformed escape must not throw
+            const raw = webhookMatch[1];
+            const { cleanedId, entry } = findBot(config.multiBotMap, raw);
+            if (!entry) {
+                logger.warn(
+                    `⚠️ Unknown botId in webhook: ${raw} (cleaned: ${cleanedId}). Known IDs: [${Array.from(
+                        config.multiBotMap.keys()
+                    ).join(', ')}]`
+                );
+                return new Response('Unknown bot', { status: 404 });
+            }
+
+            return handleUpdate(request, ctx, config, entry);
+        }
+
+        // Legacy single-bot route: any other POST is an update for BOT_TOKEN
+        if (request.method === 'POST') {
+            if (!config.singleBot) {
+                return new Response('Not found', { status: 404 });
+            }
+            return handleUpdate(request, ctx, config, config.singleBot);
+        }
+
+        return new returnHTML(htmlContent)
     }
 };
@@ -0,0 +1,128 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Replay captured Telegram updates through onUpdate in dry-run mode and print what the bot
+ * would have sent. Uses the same config as the server (.env / env, CONFIG_FILE), so config
+ * changes can be checked before rolling them out.
+ *
+ *    node scripts/replay-updates.js updates.json
+ *    node scripts/replay-updates.js updates.json --bot 123456789 --json
+ *
+ * The file holds one update, an array of updates, or one update per line (e.g. from LOG_FORMAT=json
+ * captures). Reactions are sent without delay and settings live in memory only.
+ * Read-only calls (getChat, getChatMember) still go to TELEGRAM_API_URL; when that is unreachable
+ * they fail quietly: every emoji counts as allowed and admin checks fail.
+ *
+ * Options:
+ *    --bot <id>   Bot to replay as (default: the single bot, or the first of BOT_TOKENS)
+ *    --json       Print the recorded calls as JSON instead of one line per call
+ */
+
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import { onUpdate } from '../api/bot-handler.js';
+import { resolveBot } from '../api/bots.js';
+import { loadConfig, handlerOptions } from '../api/config.js';
+import { MemoryStore } from '../api/storage.js';
+import { ReactionStats } from '../api/stats.js';
+import { ChatRegistry } from '../api/chat-registry.js';
+import { DonationLedger } from '../api/donations.js';
+import { updateContext } from '../api/logger.js';
+
+dotenv.config();
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    bot: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+if (positionals.length !== 1) {
+  console.error('❌ Usage: node scripts/replay-updates.js <updates.json> [--bot <id>] [--json]');
+  process.exit(1);
+}
+
+let config;
+try {
+  config = loadConfig({ ...process.env, DRY_RUN: 'true' }, { readFile: (path) => fs.readFileSync(path, 'utf8') });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const bot = values.bot
+  ? resolveBot(config, values.bot)
+  : config.singleBot || config.multiBotMap.values().next().value;
+if (!bot) {
+  console.error(`❌ Bot ${values.bot} is not configured.`);
+  process.exit(1);
+}
+// Fail fast offline instead of retrying read-only calls; keep every recorded call
+bot.api.maxRetries = 0;
+bot.api.dryRunLimit = Infinity;
+
+function readUpdates(path) {
+  const text = fs.readFileSync(path, 'utf8').trim();
+  try {
+    return [].concat(JSON.parse(text));
+  } catch {
+    return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  }
+}
+
+let updates;
+try {
+  updates = readUpdates(positionals[0]);
+} catch (e) {
+  console.error(`❌ Could not read updates from ${positionals[0]}: ${e.message}`);
+  process.exit(1);
+}
+
+const store = new MemoryStore();
+const options = {
+  ...handlerOptions(config, bot),
+  delay: { minMs: 0, maxMs: 0 },
+  store,
+  stats: new ReactionStats(store),
+  registry: new ChatRegistry(store),
+  ledger: new DonationLedger(store),
+};
+
+const describeCall = ({ method, body }) => {
+  if (method === 'setMessageReaction') return body.reaction.map((r) => r.emoji || `custom:${r.custom_emoji_id}`).join(' ');
+  if (method === 'sendInvoice') return `${body.prices.map((p) => p.amount).join('+')} ${body.currency}`;
+  if (method === 'answerPreCheckoutQuery') return body.ok ? 'ok' : `declined: ${body.error_message}`;
+  return JSON.stringify(body.text ?? body.telegram_payment_charge_id ?? '').slice(0, 80);
+};
+
+const results = [];
+for (const update of updates) {
+  const pending = [];
+  const before = bot.api.dryRunLog.length;
+  try {
+    await onUpdate(update, bot.api, bot.settings.reactions, bot.settings.restrictedChats, bot.username, bot.settings.randomLevel, {
+      ...options,
+      waitUntil: (promise) => pending.push(promise),
+    });
+    await Promise.all(pending);
+  } catch (e) {
+    console.error(`❌ Update ${update.update_id}: ${e.message}`);
+  }
+
+  const { updateId, updateType, chatId } = updateContext(update);
+  const calls = bot.api.dryRunLog.slice(before);
+  results.push({ updateId, updateType, chatId, calls });
+
+  if (!values.json) {
+    console.log(`#${updateId} ${updateType} chat=${chatId ?? '-'}${calls.length ? '' : '  (nothing sent)'}`);
+    calls.forEach((call) => console.log(`    -> ${call.method} ${call.body.chat_id ?? ''} ${describeCall(call)}`));
+  }
+}
+
+if (values.json) console.log(JSON.stringify(results, null, 2));
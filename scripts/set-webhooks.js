@@ -0,0 +1,69 @@
+/*!
+ * © [2025] Malith-Rukshan. All rights reserved.
+ * Repository: https://github.com/Malith-Rukshan/Auto-Reaction-Bot
+ */
+
+/**
+ * Register the webhook of every configured bot (BOT_TOKEN or BOT_TOKENS from .env / env).
+ *
+ *    node scripts/set-webhooks.js --url https://your.app
+ *    node scripts/set-webhooks.js --url https://your.app --drop-pending --allowed-updates message,channel_post
+ *    node scripts/set-webhooks.js --delete
+ *
+ * Options:
+ *    --url <https://...>         Public base URL (default: PUBLIC_URL or RENDER_EXTERNAL_URL)
+ *    --allowed-updates <a,b,c>   allowed_updates (default: the update types the bot handles,
+ *                                including EDITED_CHANNEL_POSTS / CHAT_MEMBER_UPDATES / REACTION_UPDATES)
+ *    --drop-pending              drop_pending_updates=true
+ *    --no-secret                 Don't send WEBHOOK_SECRET(S) as secret_token
+ *    --delete                    deleteWebhook instead of setWebhook
+ */
+
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import { parseList } from '../api/bots.js';
+import { loadConfig } from '../api/config.js';
+import { allowedUpdatesFor } from '../api/update-types.js';
+import { registerWebhooks, registrationTable } from '../api/webhook-check.js';
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    url: { type: 'string' },
+    'allowed-updates': { type: 'string' },
+    'drop-pending': { type: 'boolean', default: false },
+    'no-secret': { type: 'boolean', default: false },
+    delete: { type: 'boolean', default: false },
+  },
+});
+
+let bots;
+try {
+  bots = loadConfig(process.env, { readFile: (path) => fs.readFileSync(path, 'utf8') });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+
+const baseUrl = values.url || process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || '';
+if (!values.delete && !baseUrl) {
+  console.error('❌ Missing --url (or PUBLIC_URL / RENDER_EXTERNAL_URL).');
+  process.exit(1);
+}
+
+try {
+  const results = await registerWebhooks(bots, baseUrl, {
+    allowedUpdates: values['allowed-updates'] ? parseList(values['allowed-updates']) : allowedUpdatesFor(bots.updateHandling),
+    dropPendingUpdates: values['drop-pending'],
+    useSecret: !values['no-secret'],
+    remove: values.delete,
+  });
+
+  console.table(registrationTable(results));
+  process.exit(results.every((r) => r.registered && (!r.check || r.check.ok)) ? 0 : 1);
+} catch (e) {
+  console.error('❌', e.message);
+  process.exit(1);
+}